@@ -3,6 +3,9 @@ import { getEnv } from "./src/configs/config.js";
 import { connectDB } from "./src/configs/connectDb.js";
 import { configureCloudinary } from "./src/utils/cloudinary.js";
 import { initNotificationWatcher } from "./src/utils/notificationWatcher.js";
+import { initStockHoldSweeper } from "./src/utils/stockHoldSweeper.js";
+import { initPaymentReconciler } from "./src/utils/paymentReconciler.js";
+import { initEmailOutboxWorker } from "./src/utils/emailOutbox.js";
 
 console.log("hello")
 
@@ -12,7 +15,10 @@ const port = getEnv("PORT");
 {
   await configureCloudinary();
   await connectDB(getEnv("MONGODB_URL"));
-  // await initNotificationWatcher(io);
+  initNotificationWatcher(io);
+  initStockHoldSweeper();
+  initPaymentReconciler();
+  initEmailOutboxWorker();
   server.listen(port, () =>
   {
     console.log(`Server running on port ${port}`);
@@ -11,6 +11,14 @@ import StripeWebhookRoutes from "./routes/stripe-webhook.routes.js";
 import WishlistRoutes from "./routes/wishlist.routes.js";
 import SettingsRoutes from "./routes/settings.routes.js";
 import PaymentRoutes from "./routes/payment.routes.js";
+import CartRoutes from "./routes/cart.routes.js";
+import CouponRoutes from "./routes/coupon.routes.js";
+import ShippingRoutes from "./routes/shipping.routes.js";
+import TaxRoutes from "./routes/tax.routes.js";
+import ReturnRoutes from "./routes/return.routes.js";
+import FakePaymentRoutes from "./routes/fake-payment.routes.js";
+import EmailOutboxRoutes from "./routes/email-outbox.routes.js";
+import NotificationRoutes from "./routes/notification.routes.js";
 import cors from "cors";
 import morgan from "morgan";
 import http from "http";
@@ -34,6 +42,7 @@ app.use(
     credentials: true,
     origin: ["http://localhost:5173", getEnv("FRONTEND_URL")],
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
+    exposedHeaders: ["Idempotent-Replayed"],
   })
 );
 
@@ -77,6 +86,19 @@ app.use("/api/home", HomeRoutes);
 app.use("/api/wishlist", WishlistRoutes);
 app.use("/api/settings", SettingsRoutes);
 app.use("/api/payments", PaymentRoutes);
+app.use("/api/cart", CartRoutes);
+app.use("/api/coupons", CouponRoutes);
+app.use("/api/shipping", ShippingRoutes);
+app.use("/api/taxes", TaxRoutes);
+app.use("/api/returns", ReturnRoutes);
+app.use("/api/email-outbox", EmailOutboxRoutes);
+app.use("/api/notifications", NotificationRoutes);
+
+// local payment gateway, replaces the hosted stripe checkout page
+if (getEnv("PAYMENT_PROVIDER") === "fake") {
+  app.use("/api/fake-payments", FakePaymentRoutes);
+}
+
 app.use("/api/stripeWebhook", StripeWebhookRoutes);
 console.log("sockets ids", userSockets);
 // error handler
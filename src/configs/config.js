@@ -33,6 +33,13 @@ const config = Object.freeze({
   CLOUDINARY_CLIENT_SECRET: process.env.CLOUDINARY_CLIENT_SECRET,
   CLOUDINARY_FOLDER_NAME: process.env.CLOUDINARY_FOLDER_NAME,
 
+  // mail configs (MAIL_TRANSPORT: "sendgrid", "smtp", or "file" / "memory" to
+  // capture messages locally; MAIL_FROM is the sender of the local transports)
+  // --------------------------------------------------------------------------
+  MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || "sendgrid",
+  MAIL_FROM: process.env.MAIL_FROM || "no-reply@localhost",
+  MAIL_FILE_DIR: process.env.MAIL_FILE_DIR || "mails",
+
   //nodemailer configs
   // -----------------
   NODEMAILER_FROM: process.env.NODEMAILER_FROM,
@@ -43,7 +50,7 @@ const config = Object.freeze({
 
   // fonts configs
   // -------------
-  FONTS_PATH: process.env.FONTS_PATH,
+  FONTS_PATH: process.env.FONTS_PATH || "src/utils/fonts",
 
   // sendgrid configs
   // --------------
@@ -56,11 +63,47 @@ const config = Object.freeze({
   LOGO_URL_WITHOUT_BACKGROUND: process.env.LOGO_URL_WITHOUT_BACKGROUND,
   CHARITY_LOGO: process.env.CHARITY_LOGO,
 
+  // payment provider configs ("stripe", or "fake" to run without network)
+  // ---------------------------------------------------------------------
+  PAYMENT_PROVIDER: process.env.PAYMENT_PROVIDER || "stripe",
+  FAKE_PAYMENT_WEBHOOK_SECRET:
+    process.env.FAKE_PAYMENT_WEBHOOK_SECRET || "whsec_fake_local",
+
   // stripe configs
   // --------------
   STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY,
   STRIPE_PUBLIC_KEY: process.env.STRIPE_PUBLIC_KEY,
   STRIPE_WEBHOOK_SECRET: process.env.STRIPE_WEBHOOK_SECRET,
+
+  // stock hold configs (unpaid online orders)
+  // -----------------------------------------
+  STOCK_HOLD_MINUTES: process.env.STOCK_HOLD_MINUTES || "30",
+  STOCK_HOLD_SWEEP_INTERVAL_SECONDS:
+    process.env.STOCK_HOLD_SWEEP_INTERVAL_SECONDS || "60",
+
+  // payment reconciliation configs (stripe sessions that missed a webhook)
+  // ----------------------------------------------------------------------
+  PAYMENT_RECONCILE_INTERVAL_MINUTES:
+    process.env.PAYMENT_RECONCILE_INTERVAL_MINUTES || "60",
+  // pending payments younger than this are left to their webhook
+  PAYMENT_RECONCILE_MIN_AGE_MINUTES:
+    process.env.PAYMENT_RECONCILE_MIN_AGE_MINUTES || "15",
+  PAYMENT_RECONCILE_LOOKBACK_HOURS:
+    process.env.PAYMENT_RECONCILE_LOOKBACK_HOURS || "72",
+
+  // email outbox configs (retries back off exponentially from the base delay)
+  // --------------------------------------------------------------------------
+  EMAIL_OUTBOX_INTERVAL_SECONDS: process.env.EMAIL_OUTBOX_INTERVAL_SECONDS || "10",
+  EMAIL_OUTBOX_MAX_ATTEMPTS: process.env.EMAIL_OUTBOX_MAX_ATTEMPTS || "6",
+  EMAIL_OUTBOX_BACKOFF_SECONDS: process.env.EMAIL_OUTBOX_BACKOFF_SECONDS || "30",
+
+  // low stock configs (products at or below this stock are reported to the admins)
+  // -------------------------------------------------------------------------------
+  LOW_STOCK_THRESHOLD: process.env.LOW_STOCK_THRESHOLD || "5",
+
+  // returns configs
+  // ---------------
+  RETURN_WINDOW_DAYS: process.env.RETURN_WINDOW_DAYS || "30",
 });
 
 const getEnv = (key) => {
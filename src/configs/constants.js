@@ -21,3 +21,12 @@ export const refreshTokenOptions = {
   secure: isDev ? false : true,
   maxAge: Number(getEnv("REFRESH_TOKEN_MAX_AGE")),
 };
+
+export const guestCartCookieName = "guestCartId";
+
+export const guestCartCookieOptions = {
+  httpOnly: true,
+  sameSite: isDev ? "lax" : "none",
+  secure: isDev ? false : true,
+  maxAge: 30 * 24 * 60 * 60 * 1000,
+};
@@ -6,8 +6,9 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { CustomError } from "../utils/customError.js";
 import { returnMailPage } from "../utils/htmlPages.js";
 import { JWTService } from "../utils/jwtService.js";
-import { sendMail } from "../utils/resendMail.js";
+import { enqueueMail } from "../utils/emailOutbox.js";
 import { sendToken } from "../utils/sendToken.js";
+import { mergeGuestCart } from "../utils/cart.js";
 import {
   removeFromCloudinary,
   uploadOnCloudinary,
@@ -112,6 +113,8 @@ const signup = asyncHandler(async (req, res, next) => {
   if (!newUser)
     return next(new CustomError(400, "Error while registering user"));
 
+  await mergeGuestCart(req, res, newUser._id);
+
   await sendToken(
     res,
     next,
@@ -139,6 +142,8 @@ const login = asyncHandler(async (req, res, next) => {
     return next(new CustomError(400, "Wrong email or password"));
   }
 
+  await mergeGuestCart(req, res, user._id);
+
   await sendToken(res, next, user, 200, "Logged in successfully");
 });
 
@@ -175,9 +180,11 @@ const forgetPassword = asyncHandler(async (req, res, next) => {
   const resetPasswordUrl = `${getEnv("RESET_PASSWORD_URL")}/${token}`;
   console.log("reset password url----", resetPasswordUrl);
   let mailPage = returnMailPage(resetPasswordUrl);
-  const isMailSent = await sendMail(email, "Reset Password", mailPage, true);
-  if (!isMailSent)
-    return next(new CustomError(500, "Some Error Occurred While Sending Mail"));
+  // delivered (and retried) by the email outbox worker
+  await enqueueMail(
+    { to: email, subject: "Reset Password", html: mailPage },
+    { category: "reset_password", sensitive: true }
+  );
   return res.status(200).json({
     success: true,
     message: "Reset Password Link Sent Successfully Check Your MailBox",
@@ -0,0 +1,148 @@
+import { isValidObjectId } from "mongoose";
+import { Product } from "../models/product.model.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { CustomError } from "../utils/customError.js";
+import {
+  buildCartResponse,
+  findCart,
+  findOrCreateCart,
+} from "../utils/cart.js";
+
+// Get current cart with live prices and stock
+const getCart = asyncHandler(async (req, res, next) => {
+  const cart = await findCart(req);
+  const data = await buildCartResponse(cart);
+
+  res.status(200).json({
+    success: true,
+    data,
+  });
+});
+
+// Add product to cart (adds to quantity if already in cart)
+const addToCart = asyncHandler(async (req, res, next) => {
+  const { productId } = req.body;
+  const quantity = parseInt(req.body.quantity) || 1;
+
+  if (!productId || !isValidObjectId(productId)) {
+    return next(new CustomError(400, "Valid product ID is required"));
+  }
+
+  if (quantity < 1) {
+    return next(new CustomError(400, "Quantity must be at least 1"));
+  }
+
+  const product = await Product.findById(productId);
+  if (!product) {
+    return next(new CustomError(404, "Product not found"));
+  }
+
+  const cart = await findOrCreateCart(req, res);
+  const existingItem = cart.items.find(
+    (item) => item.product.toString() === productId
+  );
+  const newQuantity = (existingItem?.quantity || 0) + quantity;
+
+  if (product.stock < newQuantity) {
+    return next(new CustomError(400, `Insufficient stock for ${product.name}`));
+  }
+
+  if (existingItem) existingItem.quantity = newQuantity;
+  else cart.items.push({ product: product._id, quantity });
+  await cart.save();
+
+  const data = await buildCartResponse(cart);
+
+  res.status(200).json({
+    success: true,
+    message: "Product added to cart successfully",
+    data,
+  });
+});
+
+// Update quantity of a cart item
+const updateCartItem = asyncHandler(async (req, res, next) => {
+  const { productId } = req.params;
+  const quantity = parseInt(req.body?.quantity);
+
+  if (!productId || !isValidObjectId(productId)) {
+    return next(new CustomError(400, "Valid product ID is required"));
+  }
+
+  if (!quantity || quantity < 1) {
+    return next(new CustomError(400, "Quantity must be at least 1"));
+  }
+
+  const cart = await findCart(req);
+  const item = cart?.items.find((item) => item.product.toString() === productId);
+  if (!item) {
+    return next(new CustomError(404, "Product not found in cart"));
+  }
+
+  const product = await Product.findById(productId);
+  if (!product) {
+    return next(new CustomError(404, "Product not found"));
+  }
+
+  if (product.stock < quantity) {
+    return next(new CustomError(400, `Insufficient stock for ${product.name}`));
+  }
+
+  item.quantity = quantity;
+  await cart.save();
+
+  const data = await buildCartResponse(cart);
+
+  res.status(200).json({
+    success: true,
+    message: "Cart updated successfully",
+    data,
+  });
+});
+
+// Remove product from cart
+const removeFromCart = asyncHandler(async (req, res, next) => {
+  const { productId } = req.params;
+
+  if (!productId || !isValidObjectId(productId)) {
+    return next(new CustomError(400, "Valid product ID is required"));
+  }
+
+  const cart = await findCart(req);
+  const itemIndex = cart
+    ? cart.items.findIndex((item) => item.product.toString() === productId)
+    : -1;
+  if (itemIndex === -1) {
+    return next(new CustomError(404, "Product not found in cart"));
+  }
+
+  cart.items.splice(itemIndex, 1);
+  await cart.save();
+
+  const data = await buildCartResponse(cart);
+
+  res.status(200).json({
+    success: true,
+    message: "Product removed from cart successfully",
+    data,
+  });
+});
+
+// Remove all items from cart
+const clearCart = asyncHandler(async (req, res, next) => {
+  const cart = await findCart(req);
+  if (cart) {
+    cart.items = [];
+    await cart.save();
+  }
+
+  const data = await buildCartResponse(cart);
+
+  res.status(200).json({
+    success: true,
+    message: "Cart cleared successfully",
+    data,
+  });
+});
+
+export { getCart, addToCart, updateCartItem, removeFromCart, clearCart };
@@ -8,7 +8,7 @@ import {
 } from "../utils/cloudinary.js";
 
 const createCategory = asyncHandler(async (req, res, next) => {
-  const { title, description } = req.body;
+  const { title, description, taxClass } = req.body;
   const file = req.file;
 
   if (!title || !description) {
@@ -35,6 +35,7 @@ const createCategory = asyncHandler(async (req, res, next) => {
   const newCategory = await Category.create({
     title: title.trim(),
     description: description.trim(),
+    taxClass: taxClass || undefined,
     image: {
       public_id: uploadedImage.public_id,
       url: uploadedImage.secure_url,
@@ -84,7 +85,7 @@ const updateCategory = asyncHandler(async (req, res, next) => {
     return next(new CustomError(404, "Category not found"));
   }
 
-  const { title, description } = req.body;
+  const { title, description, taxClass } = req.body;
   const file = req.file;
 
   // Check if new title conflicts with existing category
@@ -98,6 +99,7 @@ const updateCategory = asyncHandler(async (req, res, next) => {
   // Update basic fields
   if (title !== undefined) category.title = title.trim();
   if (description !== undefined) category.description = description.trim();
+  if (taxClass !== undefined) category.taxClass = taxClass || "standard";
 
   // Handle image update if new file is provided
   if (file) {
@@ -0,0 +1,221 @@
+import { isValidObjectId } from "mongoose";
+import { Coupon } from "../models/coupon.model.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { CustomError } from "../utils/customError.js";
+import { buildOrderItems, resolveCheckoutItems } from "../utils/checkout.js";
+import { evaluateCoupon } from "../utils/coupon.js";
+import { roundMoney } from "../utils/pricing.js";
+
+const couponFields = [
+  "code",
+  "description",
+  "type",
+  "value",
+  "maxDiscount",
+  "minOrderValue",
+  "usageLimit",
+  "usageLimitPerUser",
+  "startsAt",
+  "expiresAt",
+  "applicableCategories",
+  "applicableProducts",
+  "isActive",
+];
+
+// Validate coupon values shared by create and update
+const validateCouponData = (coupon) => {
+  if (!["percentage", "fixed"].includes(coupon.type)) {
+    return "Coupon type must be percentage or fixed";
+  }
+  if (coupon.value === undefined || coupon.value === null || coupon.value < 0) {
+    return "Please provide a valid coupon value";
+  }
+  if (coupon.type === "percentage" && coupon.value > 100) {
+    return "Percentage coupons cannot exceed 100";
+  }
+  if (coupon.startsAt && coupon.expiresAt && coupon.startsAt > coupon.expiresAt) {
+    return "Coupon start date must be before its expiry date";
+  }
+  if (coupon.applicableProducts?.some((id) => !isValidObjectId(id))) {
+    return "Invalid product ID in applicable products";
+  }
+  return null;
+};
+
+// Create coupon (admin only)
+const createCoupon = asyncHandler(async (req, res, next) => {
+  const ownerId = req?.user?._id;
+  const { code, type, value } = req.body;
+
+  if (!code || !type || value === undefined) {
+    return next(new CustomError(400, "Please provide code, type and value"));
+  }
+
+  const existingCoupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+  if (existingCoupon) {
+    return next(new CustomError(400, "Coupon with this code already exists"));
+  }
+
+  const couponData = { owner: ownerId };
+  for (const field of couponFields) {
+    if (req.body[field] !== undefined) couponData[field] = req.body[field];
+  }
+
+  const coupon = new Coupon(couponData);
+  const validationError = validateCouponData(coupon);
+  if (validationError) {
+    return next(new CustomError(400, validationError));
+  }
+
+  await coupon.save();
+
+  res.status(201).json({
+    success: true,
+    message: "Coupon created successfully",
+    data: coupon,
+  });
+});
+
+// Get all coupons (admin only)
+const getAllCoupons = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 10, search = "", status = "" } = req.query;
+
+  const query = {};
+  if (search) {
+    query.code = { $regex: search, $options: "i" };
+  }
+  if (status === "active") query.isActive = true;
+  if (status === "inactive") query.isActive = false;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const coupons = await Coupon.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const totalCoupons = await Coupon.countDocuments(query);
+  const totalPages = Math.ceil(totalCoupons / parseInt(limit));
+
+  res.status(200).json({
+    success: true,
+    data: coupons,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages,
+      totalCoupons,
+      hasNext: parseInt(page) < totalPages,
+      hasPrev: parseInt(page) > 1,
+    },
+  });
+});
+
+// Get one coupon (admin only)
+const getOneCoupon = asyncHandler(async (req, res, next) => {
+  const couponId = req.params.id;
+  if (!isValidObjectId(couponId)) {
+    return next(new CustomError(400, "Invalid coupon ID"));
+  }
+
+  const coupon = await Coupon.findById(couponId);
+  if (!coupon) {
+    return next(new CustomError(404, "Coupon not found"));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: coupon,
+  });
+});
+
+// Update coupon (admin only)
+const updateCoupon = asyncHandler(async (req, res, next) => {
+  const couponId = req.params.id;
+  if (!isValidObjectId(couponId)) {
+    return next(new CustomError(400, "Invalid coupon ID"));
+  }
+
+  const coupon = await Coupon.findById(couponId);
+  if (!coupon) {
+    return next(new CustomError(404, "Coupon not found"));
+  }
+
+  const { code } = req.body;
+  if (code && code.trim().toUpperCase() !== coupon.code) {
+    const existingCoupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+    if (existingCoupon) {
+      return next(new CustomError(400, "Coupon with this code already exists"));
+    }
+  }
+
+  for (const field of couponFields) {
+    if (req.body[field] !== undefined) coupon[field] = req.body[field];
+  }
+
+  const validationError = validateCouponData(coupon);
+  if (validationError) {
+    return next(new CustomError(400, validationError));
+  }
+
+  await coupon.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Coupon updated successfully",
+    data: coupon,
+  });
+});
+
+// Delete coupon (admin only)
+const deleteCoupon = asyncHandler(async (req, res, next) => {
+  const couponId = req.params.id;
+  if (!isValidObjectId(couponId)) {
+    return next(new CustomError(400, "Invalid coupon ID"));
+  }
+
+  const coupon = await Coupon.findByIdAndDelete(couponId);
+  if (!coupon) {
+    return next(new CustomError(404, "Coupon not found"));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Coupon deleted successfully",
+  });
+});
+
+// Check a coupon code against the given items or the customer cart
+const validateCoupon = asyncHandler(async (req, res, next) => {
+  const customerId = req?.user?._id;
+  const { code } = req.body;
+
+  if (!code) {
+    return next(new CustomError(400, "Please provide a coupon code"));
+  }
+
+  const { items } = await resolveCheckoutItems(customerId, req.body.items);
+  const { orderItems, subtotal } = await buildOrderItems(items);
+  const { coupon, discount } = await evaluateCoupon(code, customerId, orderItems);
+
+  res.status(200).json({
+    success: true,
+    message: "Coupon applied successfully",
+    data: {
+      code: coupon.code,
+      type: coupon.type,
+      value: coupon.value,
+      subtotal,
+      discount,
+      totalAmount: roundMoney(subtotal - discount),
+    },
+  });
+});
+
+export {
+  createCoupon,
+  getAllCoupons,
+  getOneCoupon,
+  updateCoupon,
+  deleteCoupon,
+  validateCoupon,
+};
@@ -1,19 +1,69 @@
+import { getEnv } from "../configs/config.js";
 import { Order } from "../models/order.model.js";
 import { Product } from "../models/product.model.js";
 import { Auth } from "../models/auth.model.js";
+import { Settings } from "../models/settings.model.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { CustomError } from "../utils/customError.js";
+import {
+  convertibleCurrencyFilter,
+  currencyMismatchFilter,
+  toStoreCurrencyExpression,
+} from "../utils/currency.js";
+
+// Revenue breakdown sums for order $group stages (orders placed before the
+// breakdown existed only have totalAmount, which then counts as subtotal)
+const revenueBreakdownGroup = {
+  subtotal: { $sum: { $ifNull: ["$subtotal", "$totalAmount"] } },
+  discount: { $sum: { $ifNull: ["$discountAmount", 0] } },
+  shipping: { $sum: { $ifNull: ["$shippingAmount", 0] } },
+  tax: { $sum: { $ifNull: ["$taxAmount", 0] } },
+};
+
+// Stages converting order amounts to the store currency, so sums stay right
+// for orders placed while the store used another currency (orders in a
+// currency without exchange rate are left out, see countCurrencyMismatch)
+const inStoreCurrency = (settings) => [
+  { $match: convertibleCurrencyFilter(settings) },
+  {
+    $addFields: {
+      totalAmount: toStoreCurrencyExpression("$totalAmount", settings),
+      subtotal: toStoreCurrencyExpression("$subtotal", settings),
+      discountAmount: toStoreCurrencyExpression("$discountAmount", settings),
+      shippingAmount: toStoreCurrencyExpression("$shippingAmount", settings),
+      taxAmount: toStoreCurrencyExpression("$taxAmount", settings),
+    },
+  },
+];
+
+// Same for the unit price of unwound order items
+const itemPriceInStoreCurrency = (settings) => [
+  { $match: convertibleCurrencyFilter(settings) },
+  {
+    $addFields: {
+      "items.price": toStoreCurrencyExpression("$items.price", settings),
+    },
+  },
+];
+
+// Orders of a query that could not be converted and are missing from the sums
+const countCurrencyMismatch = (settings, match = {}) =>
+  Order.countDocuments({ $and: [match, currencyMismatchFilter(settings)] });
 
 // Get comprehensive dashboard stats
 const getDashboardStats = asyncHandler(async (req, res, next) => {
+  const settings = await Settings.getSettings();
+
   // Get total revenue and orders
   const revenueStats = await Order.aggregate([
+    ...inStoreCurrency(settings),
     {
       $group: {
         _id: null,
         totalRevenue: { $sum: "$totalAmount" },
         totalOrders: { $sum: 1 },
         averageOrderValue: { $avg: "$totalAmount" },
+        ...revenueBreakdownGroup,
       },
     },
   ]);
@@ -39,8 +89,8 @@ const getDashboardStats = asyncHandler(async (req, res, next) => {
     },
   ]);
 
-  // Get low stock alerts (products with stock <= 5)
-  const lowStockProducts = await Product.find({ stock: { $lte: 5 } })
+  // Get low stock alerts (products with stock <= LOW_STOCK_THRESHOLD)
+  const lowStockProducts = await Product.find({ stock: { $lte: Number(getEnv("LOW_STOCK_THRESHOLD")) } })
     .select("name stock images")
     .sort({ stock: 1 })
     .limit(10);
@@ -66,6 +116,7 @@ const getDashboardStats = asyncHandler(async (req, res, next) => {
         },
       },
     },
+    ...inStoreCurrency(settings),
     {
       $group: {
         _id: {
@@ -74,6 +125,7 @@ const getDashboardStats = asyncHandler(async (req, res, next) => {
         },
         revenue: { $sum: "$totalAmount" },
         orders: { $sum: 1 },
+        ...revenueBreakdownGroup,
       },
     },
     {
@@ -85,6 +137,7 @@ const getDashboardStats = asyncHandler(async (req, res, next) => {
   // Get top selling products
   const topProducts = await Order.aggregate([
     { $unwind: "$items" },
+    ...itemPriceInStoreCurrency(settings),
     {
       $group: {
         _id: "$items.product",
@@ -116,10 +169,18 @@ const getDashboardStats = asyncHandler(async (req, res, next) => {
   ]);
 
   const stats = {
+    currency: settings.currency,
+    currencyMismatch: await countCurrencyMismatch(settings),
     totalRevenue: revenueStats[0]?.totalRevenue || 0,
     totalOrders: revenueStats[0]?.totalOrders || 0,
     totalSales: salesStats[0]?.totalSales || 0,
     averageOrderValue: revenueStats[0]?.averageOrderValue || 0,
+    revenueBreakdown: {
+      subtotal: revenueStats[0]?.subtotal || 0,
+      discount: revenueStats[0]?.discount || 0,
+      shipping: revenueStats[0]?.shipping || 0,
+      tax: revenueStats[0]?.tax || 0,
+    },
     totalCustomers,
     totalProducts,
     orderStatusBreakdown: orderStatusStats.reduce((acc, stat) => {
@@ -137,6 +198,7 @@ const getDashboardStats = asyncHandler(async (req, res, next) => {
       orderNumber: order.orderNumber,
       customer: order.customer,
       totalAmount: order.totalAmount,
+      currency: order.currency,
       status: order.status,
       createdAt: order.createdAt,
     })),
@@ -153,6 +215,7 @@ const getDashboardStats = asyncHandler(async (req, res, next) => {
 // Get sales analytics with date range filtering
 const getSalesAnalytics = asyncHandler(async (req, res, next) => {
   const { startDate, endDate, period = "monthly" } = req.query;
+  const settings = await Settings.getSettings();
 
   let matchCondition = {};
 
@@ -189,12 +252,14 @@ const getSalesAnalytics = asyncHandler(async (req, res, next) => {
 
   const salesData = await Order.aggregate([
     { $match: matchCondition },
+    ...inStoreCurrency(settings),
     {
       $group: {
         _id: groupBy,
         revenue: { $sum: "$totalAmount" },
         orders: { $sum: 1 },
         averageOrderValue: { $avg: "$totalAmount" },
+        ...revenueBreakdownGroup,
       },
     },
     { $sort: { "_id.year": 1, "_id.month": 1, "_id.day": 1, "_id.week": 1 } },
@@ -204,15 +269,19 @@ const getSalesAnalytics = asyncHandler(async (req, res, next) => {
     success: true,
     data: salesData,
     period,
+    currency: settings.currency,
+    currencyMismatch: await countCurrencyMismatch(settings, matchCondition),
   });
 });
 
 // Get product performance metrics
 const getProductAnalytics = asyncHandler(async (req, res, next) => {
   const { limit = 20 } = req.query;
+  const settings = await Settings.getSettings();
 
   const productStats = await Order.aggregate([
     { $unwind: "$items" },
+    ...itemPriceInStoreCurrency(settings),
     {
       $group: {
         _id: "$items.product",
@@ -253,13 +322,18 @@ const getProductAnalytics = asyncHandler(async (req, res, next) => {
   res.status(200).json({
     success: true,
     data: productStats,
+    currency: settings.currency,
+    currencyMismatch: await countCurrencyMismatch(settings),
   });
 });
 
 // Get customer analytics
 const getCustomerAnalytics = asyncHandler(async (req, res, next) => {
+  const settings = await Settings.getSettings();
+
   // Top customers by order value
   const topCustomers = await Order.aggregate([
+    ...inStoreCurrency(settings),
     {
       $group: {
         _id: "$customer",
@@ -293,6 +367,8 @@ const getCustomerAnalytics = asyncHandler(async (req, res, next) => {
   res.status(200).json({
     success: true,
     data: {
+      currency: settings.currency,
+      currencyMismatch: await countCurrencyMismatch(settings),
       topCustomers: topCustomers.map(item => ({
         id: item.customer._id,
         name: item.customer.name,
@@ -331,11 +407,14 @@ const getAllUsers = asyncHandler(async (req, res, next) => {
   // Get total count for pagination
   const totalUsers = await Auth.countDocuments(matchCondition);
 
+  const settings = await Settings.getSettings();
+
   // Calculate stats for each user
   const usersWithStats = await Promise.all(
     users.map(async (user) => {
       const stats = await Order.aggregate([
         { $match: { customer: user._id } },
+        ...inStoreCurrency(settings),
         {
           $group: {
             _id: null,
@@ -363,6 +442,8 @@ const getAllUsers = asyncHandler(async (req, res, next) => {
     data: {
       users: usersWithStats,
       totalUsers: totalUsers,
+      currency: settings.currency,
+      currencyMismatch: await countCurrencyMismatch(settings),
 
       pagination: {
         total: totalUsers,
@@ -0,0 +1,99 @@
+import { isValidObjectId } from "mongoose";
+import { EmailOutbox } from "../models/emailOutbox.model.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { CustomError } from "../utils/customError.js";
+import { resendOutboxMail } from "../utils/emailOutbox.js";
+
+// attachment contents stay in the database, the admin only sees their names
+// (and nothing of the content of sensitive emails)
+const withoutAttachmentContent = (mail) => ({
+  ...mail.toObject(),
+  ...(mail.sensitive ? { html: undefined, text: undefined } : {}),
+  attachments: mail.attachments.map((file) => ({
+    filename: file.filename,
+    contentType: file.contentType,
+    size: file.content?.length || 0,
+  })),
+});
+
+// Get outbox emails, dead ones by default (Admin only)
+const getOutboxMails = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 10, status = "dead", category = "", to = "" } = req.query;
+
+  const query = {};
+  if (status && status !== "all") {
+    query.status = status;
+  }
+  if (category) {
+    query.category = category;
+  }
+  if (to) {
+    query.to = String(to).toLowerCase();
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const mails = await EmailOutbox.find(query)
+    .select("-html -text -attachments.content")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const totalMails = await EmailOutbox.countDocuments(query);
+  const totalPages = Math.ceil(totalMails / parseInt(limit));
+
+  res.status(200).json({
+    success: true,
+    data: mails,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages,
+      totalMails,
+      hasNext: parseInt(page) < totalPages,
+      hasPrev: parseInt(page) > 1,
+    },
+  });
+});
+
+// Get one outbox email with its content (Admin only)
+const getOneOutboxMail = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return next(new CustomError(400, "Invalid email ID"));
+  }
+
+  const mail = await EmailOutbox.findById(id);
+  if (!mail) {
+    return next(new CustomError(404, "Email not found"));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: withoutAttachmentContent(mail),
+  });
+});
+
+// Send a dead or sent email again (Admin only)
+const resendOutboxEmail = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return next(new CustomError(400, "Invalid email ID"));
+  }
+
+  const mail = await EmailOutbox.findById(id);
+  if (!mail) {
+    return next(new CustomError(404, "Email not found"));
+  }
+
+  await resendOutboxMail(mail, { resentBy: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: "Email queued for sending",
+    data: withoutAttachmentContent(mail),
+  });
+});
+
+export { getOutboxMails, getOneOutboxMail, resendOutboxEmail };
@@ -0,0 +1,53 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { CustomError } from "../utils/customError.js";
+import { getFakeSession, simulateCheckout } from "../utils/fakePayment.js";
+
+const outcomes = ["paid", "failed", "async_paid", "async_failed", "expired"];
+
+// the customer of the checkout session or an admin
+const findOwnSession = async (req) => {
+  const result = await getFakeSession(req.params.sessionId);
+  if (!result.success) {
+    throw new CustomError(404, result.error);
+  }
+  if (
+    req.user.role !== "admin" &&
+    result.session.metadata?.customerId !== req.user._id.toString()
+  ) {
+    throw new CustomError(403, "Access denied");
+  }
+  return result.session;
+};
+
+// Get a fake checkout session
+const getSession = asyncHandler(async (req, res, next) => {
+  const session = await findOwnSession(req);
+
+  res.status(200).json({
+    success: true,
+    data: session,
+  });
+});
+
+// Complete a fake checkout session with the given outcome
+const completeSession = asyncHandler(async (req, res, next) => {
+  const outcome = req.body?.outcome || "paid";
+  if (!outcomes.includes(outcome)) {
+    return next(new CustomError(400, `Outcome must be one of ${outcomes.join(", ")}`));
+  }
+
+  await findOwnSession(req);
+
+  const result = await simulateCheckout(req.params.sessionId, outcome);
+  if (!result.success) {
+    return next(new CustomError(400, result.error));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Checkout session ${outcome}`,
+    data: result,
+  });
+});
+
+export { getSession, completeSession };
@@ -3,6 +3,7 @@ import { Product } from "../models/product.model.js";
 import { Category } from "../models/category.model.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { CustomError } from "../utils/customError.js";
+import { withPricing } from "../utils/pricing.js";
 
 // Search products
 const searchProducts = asyncHandler(async (req, res, next) => {
@@ -44,7 +45,7 @@ const searchProducts = asyncHandler(async (req, res, next) => {
 
   res.status(200).json({
     success: true,
-    data: products,
+    data: products.map((product) => withPricing(product, req.currency)),
     pagination: {
       currentPage: parseInt(page),
       totalPages,
@@ -99,7 +100,7 @@ const getFlashSaleProducts = asyncHandler(async (req, res, next) => {
 
   res.status(200).json({
     success: true,
-    data: flashSaleProducts,
+    data: flashSaleProducts.map((product) => withPricing(product, req.currency)),
   });
 });
 
@@ -128,7 +129,7 @@ const getAllFlashSaleProducts = asyncHandler(async (req, res, next) => {
 
   res.status(200).json({
     success: true,
-    data: products,
+    data: products.map((product) => withPricing(product, req.currency)),
     pagination: {
       currentPage: parseInt(page),
       totalPages,
@@ -152,7 +153,7 @@ const getBestSellingProducts = asyncHandler(async (req, res, next) => {
 
     // Add mock totalSold for demo purposes
     const productsWithTotalSold = products.map(product => ({
-      ...product.toObject(),
+      ...withPricing(product, req.currency),
       totalSold: Math.floor(Math.random() * 50) + 1, // Random sales for demo
     }));
 
@@ -208,7 +209,7 @@ const getAllBestSellingProducts = asyncHandler(async (req, res, next) => {
   ]);
 
   const products = bestSellingProducts.map(item => ({
-    ...item.product,
+    ...withPricing(item.product, req.currency),
     totalSold: item.totalSold,
   }));
 
@@ -241,7 +242,7 @@ const getFeaturedProducts = asyncHandler(async (req, res, next) => {
 
   res.status(200).json({
     success: true,
-    data: products,
+    data: products.map((product) => withPricing(product, req.currency)),
   });
 });
 
@@ -259,7 +260,7 @@ const getOurProducts = asyncHandler(async (req, res, next) => {
 
   res.status(200).json({
     success: true,
-    data: products,
+    data: products.map((product) => withPricing(product, req.currency)),
   });
 });
 
@@ -304,7 +305,7 @@ const getAllProducts = asyncHandler(async (req, res, next) => {
 
   res.status(200).json({
     success: true,
-    data: products,
+    data: products.map((product) => withPricing(product, req.currency)),
     pagination: {
       currentPage: parseInt(page),
       totalPages,
@@ -348,7 +349,7 @@ const getProductsByCategory = asyncHandler(async (req, res, next) => {
     success: true,
     data: {
       category,
-      products,
+      products: products.map((product) => withPricing(product, req.currency)),
       pagination: {
         currentPage: parseInt(page),
         totalPages,
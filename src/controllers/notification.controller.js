@@ -0,0 +1,121 @@
+import { isValidObjectId } from "mongoose";
+import { Notification } from "../models/notification.model.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { CustomError } from "../utils/customError.js";
+
+// Get my notifications, newest first (?unread=true for unread only)
+const getMyNotifications = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 20, unread, type = "" } = req.query;
+  const recipient = req.user._id;
+
+  const query = { recipient };
+  if (unread === "true") {
+    query.read = false;
+  }
+  if (type) {
+    query.type = type;
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const notifications = await Notification.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const totalNotifications = await Notification.countDocuments(query);
+  const unreadCount = await Notification.countDocuments({ recipient, read: false });
+  const totalPages = Math.ceil(totalNotifications / parseInt(limit));
+
+  res.status(200).json({
+    success: true,
+    data: notifications,
+    unreadCount,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages,
+      totalNotifications,
+      hasNext: parseInt(page) < totalPages,
+      hasPrev: parseInt(page) > 1,
+    },
+  });
+});
+
+// Mark one notification as read
+const markNotificationRead = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return next(new CustomError(400, "Invalid notification ID"));
+  }
+
+  const notification = await Notification.findOneAndUpdate(
+    { _id: id, recipient: req.user._id },
+    { $set: { read: true, readAt: new Date() } },
+    { new: true }
+  );
+  if (!notification) {
+    return next(new CustomError(404, "Notification not found"));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Notification marked as read",
+    data: notification,
+  });
+});
+
+// Mark all my notifications as read
+const markAllNotificationsRead = asyncHandler(async (req, res, next) => {
+  const result = await Notification.updateMany(
+    { recipient: req.user._id, read: false },
+    { $set: { read: true, readAt: new Date() } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "All notifications marked as read",
+    data: { updated: result.modifiedCount },
+  });
+});
+
+// Delete one notification
+const deleteNotification = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return next(new CustomError(400, "Invalid notification ID"));
+  }
+
+  const notification = await Notification.findOneAndDelete({
+    _id: id,
+    recipient: req.user._id,
+  });
+  if (!notification) {
+    return next(new CustomError(404, "Notification not found"));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Notification deleted successfully",
+  });
+});
+
+// Delete all my read notifications
+const deleteReadNotifications = asyncHandler(async (req, res, next) => {
+  const result = await Notification.deleteMany({ recipient: req.user._id, read: true });
+
+  res.status(200).json({
+    success: true,
+    message: "Read notifications deleted successfully",
+    data: { deleted: result.deletedCount },
+  });
+});
+
+export {
+  getMyNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+  deleteReadNotifications,
+};
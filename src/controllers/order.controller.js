@@ -1,11 +1,36 @@
 import { isValidObjectId } from "mongoose";
 import { Order } from "../models/order.model.js";
-import { Product } from "../models/product.model.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { CustomError } from "../utils/customError.js";
-import { createCheckoutSession } from "../utils/stripe.js";
+import { createCheckoutSession } from "../utils/paymentProvider.js";
 import { getEnv } from "../configs/config.js";
 import { PaymentIntent } from "../models/paymentIntent.model.js";
+import { ReturnRequest } from "../models/returnRequest.model.js";
+import { emptyCustomerCart } from "../utils/cart.js";
+import { reserveStock, restoreStock } from "../utils/inventory.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { getStockHoldExpiry } from "../utils/stockHoldSweeper.js";
+import { buildCheckout, resolveCheckoutItems } from "../utils/checkout.js";
+import { redeemCoupon, releaseCoupon } from "../utils/coupon.js";
+import { roundMoney } from "../utils/pricing.js";
+import { convertAmount } from "../utils/currency.js";
+import { recordCodCollection, recordCodRefusal } from "../utils/cod.js";
+import { generateInvoicePDF } from "../utils/pdfGenerator.js";
+import { orderMailEventNames, renderOrderMail } from "../utils/orderMail.js";
+import { notifyOrderEvent } from "../utils/orderEvents.js";
+import { notifyLowStock } from "../utils/notifications.js";
+import { Settings } from "../models/settings.model.js";
+import {
+  buildOrderTimeline,
+  getAllowedTransitions,
+  transitionOrderStatus,
+} from "../utils/orderStatus.js";
+import {
+  buildTrackingInfo,
+  createShipment,
+  deliverOrder,
+  markShipmentDelivered,
+} from "../utils/shipment.js";
 
 // Create new order (client side)
 const createOrder = asyncHandler(async (req, res, next) => {
@@ -15,13 +40,20 @@ const createOrder = asyncHandler(async (req, res, next) => {
   }
 
   const {
-    items,
     shippingAddress,
     paymentMethod,
+    couponCode,
+    shippingMethodId,
   } = req.body;
 
   console.log("req.body", req.body);
 
+  // No items sent, checkout directly from the stored cart
+  const { items, fromCart: checkoutFromCart } = await resolveCheckoutItems(
+    customerId,
+    req.body.items
+  );
+
   if (!items || !Array.isArray(items) || items.length === 0) {
     return next(new CustomError(400, "Please provide order items"));
   }
@@ -30,49 +62,69 @@ const createOrder = asyncHandler(async (req, res, next) => {
     return next(new CustomError(400, "Please provide shipping address"));
   }
 
-  // Validate and fetch product details
-  let totalAmount = 0;
-  const orderItems = [];
-
-  for (const item of items) {
-    if (!item.id || !item.quantity || item.quantity < 1) {
-      return next(new CustomError(400, "Invalid item data"));
-    }
-
-    const product = await Product.findById(item.id);
-    if (!product) {
-      return next(new CustomError(404, `Product ${item.id} not found`));
-    }
-
-    if (product.stock < item.quantity) {
-      return next(new CustomError(400, `Insufficient stock for ${product.name}`));
-    }
-
-    const itemTotal = product.price * item.quantity;
-    totalAmount += itemTotal;
-
-    orderItems.push({
-      product: product._id,
-      name: product.name,
-      price: product.price,
-      quantity: item.quantity,
-      image: product.images[0]?.url || "",
-    });
-
-    // Update product stock
-    product.stock -= item.quantity;
-    await product.save();
-  }
-
-  // Create the order
-  const newOrder = await Order.create({
-    customer: customerId,
-    items: orderItems,
+  // Validate and price items, coupon, shipping and tax
+  const {
+    orderItems,
+    subtotal,
+    coupon,
+    discount,
+    shipping,
+    shippingAmount,
+    taxAmount,
+    taxLines,
+    pricesIncludeTax,
+    codFee,
     totalAmount,
+    currency,
+  } = await buildCheckout({
+    customerId,
+    items,
     shippingAddress,
-    paymentMethod: paymentMethod === "online" ? "online" : "cash_on_delivery",
+    couponCode,
+    shippingMethodId,
+    paymentMethod,
   });
 
+  // Reserve stock and create the order in one transaction, so stock is
+  // never decremented without an order (or oversold by parallel orders)
+  let reservedProducts = [];
+  const newOrder = await runInTransaction(async (session) => {
+    reservedProducts = await reserveStock(orderItems, session);
+    if (coupon) await redeemCoupon(coupon, customerId, session);
+    const [order] = await Order.create(
+      [
+        {
+          customer: customerId,
+          items: orderItems,
+          subtotal,
+          discountAmount: discount,
+          coupon: coupon
+            ? { coupon: coupon._id, code: coupon.code, discount }
+            : undefined,
+          shipping,
+          shippingAmount,
+          taxAmount,
+          taxLines,
+          pricesIncludeTax,
+          codFee,
+          totalAmount,
+          currency,
+          shippingAddress,
+          statusHistory: [
+            { to: "pending", changedBy: customerId, role: "client", note: "Order placed" },
+          ],
+          paymentMethod: paymentMethod === "online" ? "online" : "cash_on_delivery",
+          // online orders only hold their stock until the payment window closes
+          reservationExpiresAt:
+            paymentMethod === "online" ? getStockHoldExpiry() : undefined,
+        },
+      ],
+      { session }
+    );
+    return order;
+  });
+  notifyLowStock(reservedProducts);
+
   // Populate customer and product details
   await newOrder.populate("customer", "name email");
 
@@ -84,15 +136,32 @@ const createOrder = asyncHandler(async (req, res, next) => {
       shippingAddress: JSON.stringify(shippingAddress),
       paymentMethod: paymentMethod.toString(),
     }
-    const response = await createCheckoutSession(orderItems, `${getEnv("FRONTEND_URL")}/orders`, `${getEnv("FRONTEND_URL")}/orders`, metaData);
+    const response = await createCheckoutSession(orderItems, `${getEnv("FRONTEND_URL")}/orders`, `${getEnv("FRONTEND_URL")}/orders`, metaData, {
+      currency,
+      expiresAt: newOrder.reservationExpiresAt,
+      discount: coupon ? { code: coupon.code, amount: discount } : undefined,
+      shipping: shipping ? { name: shipping.methodName, amount: shippingAmount } : undefined,
+      tax: pricesIncludeTax ? undefined : { amount: taxAmount },
+    });
     if (!response.success) {
+      // No checkout session, roll the order back and release its stock
+      await runInTransaction(async (session) => {
+        await restoreStock(newOrder.items, session);
+        await releaseCoupon(newOrder, session);
+        await Order.deleteOne({ _id: newOrder._id }, { session });
+      });
       return next(new CustomError(500, response.error));
     }
     const paymentIntent = await PaymentIntent.create({
       order: newOrder._id,
       intentId: response.sessionId,
       totalAmount,
+      currency,
     });
+    if (checkoutFromCart) {
+      await emptyCustomerCart(customerId);
+    }
+    notifyOrderEvent("placed", newOrder);
     return res.status(201).json({
       success: true,
       message: "Order placed successfully",
@@ -105,9 +174,14 @@ const createOrder = asyncHandler(async (req, res, next) => {
       order: newOrder._id,
       intentId: "cash_on_delivery",
       totalAmount,
+      currency,
     });
+    if (checkoutFromCart) {
+      await emptyCustomerCart(customerId);
+    }
     await newOrder.save();
     await newOrder.populate("customer", "name email");
+    notifyOrderEvent("placed", newOrder);
     return res.status(201).json({
       success: true,
       message: "Order placed successfully",
@@ -116,6 +190,80 @@ const createOrder = asyncHandler(async (req, res, next) => {
   }
 });
 
+// quote amounts converted to the display currency of the request
+const buildDisplayTotals = (quote, currencyContext) => {
+  if (!currencyContext || currencyContext.displayCurrency === quote.currency) return null;
+  const convert = (amount) => convertAmount(amount, currencyContext);
+  return {
+    currency: currencyContext.displayCurrency,
+    rate: currencyContext.rate,
+    subtotal: convert(quote.subtotal),
+    discountAmount: convert(quote.discount),
+    shippingAmount: convert(quote.shippingAmount),
+    taxAmount: convert(quote.taxAmount),
+    codFee: convert(quote.codFee),
+    totalAmount: convert(quote.totalAmount),
+  };
+};
+
+// Quote an order without placing it (client side)
+const getOrderQuote = asyncHandler(async (req, res, next) => {
+  const customerId = req?.user?._id;
+  if (!customerId) {
+    return next(new CustomError(401, "Unauthorized"));
+  }
+
+  const { shippingAddress, couponCode, shippingMethodId, paymentMethod } = req.body;
+
+  // No items sent, quote the stored cart
+  const { items } = await resolveCheckoutItems(customerId, req.body.items);
+
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    return next(new CustomError(400, "Please provide order items"));
+  }
+
+  // Same pricing as createOrder, but every problem is reported
+  const quote = await buildCheckout(
+    { customerId, items, shippingAddress, couponCode, shippingMethodId, paymentMethod },
+    { collectErrors: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      items: quote.orderItems.map((item) => ({
+        product: item.product,
+        name: item.name,
+        image: item.image,
+        quantity: item.quantity,
+        price: item.price,
+        listPrice: item.listPrice,
+        discount: item.discount,
+        promotion: item.promotion,
+        lineTotal: roundMoney(item.price * item.quantity, quote.currency),
+        taxAmount: item.taxAmount || 0,
+      })),
+      subtotal: quote.subtotal,
+      coupon: quote.coupon
+        ? { code: quote.coupon.code, discount: quote.discount }
+        : null,
+      discountAmount: quote.discount,
+      shipping: quote.shipping || null,
+      shippingAmount: quote.shippingAmount,
+      taxAmount: quote.taxAmount,
+      taxLines: quote.taxLines,
+      pricesIncludeTax: quote.pricesIncludeTax,
+      codFee: quote.codFee,
+      totalAmount: quote.totalAmount,
+      currency: quote.currency,
+      // the total in the requested display currency, the order is charged in the store currency
+      display: buildDisplayTotals(quote, req.currency),
+      errors: quote.errors,
+      isValid: quote.errors.length === 0 && quote.orderItems.length > 0,
+    },
+  });
+});
+
 // Get user's own orders (client side)
 const getMyOrders = asyncHandler(async (req, res, next) => {
   const customerId = req?.user?._id;
@@ -200,16 +348,25 @@ const getOneOrder = asyncHandler(async (req, res, next) => {
     return next(new CustomError(403, "Access denied"));
   }
 
+  await order.populate("statusHistory.changedBy", "name role");
+
+  const returns = await ReturnRequest.find({ order: order._id })
+    .select("returnNumber items status refund createdAt")
+    .sort({ createdAt: -1 });
+
   res.status(200).json({
     success: true,
     data: order,
+    timeline: buildOrderTimeline(order),
+    returns,
+    allowedTransitions: userRole === "admin" ? getAllowedTransitions(order.status) : undefined,
   });
 });
 
 // Update order status (admin only)
 const updateOrderStatus = asyncHandler(async (req, res, next) => {
   const orderId = req.params.id;
-  const { status, trackingNumber } = req.body;
+  const { status, carrier, trackingNumber, trackingUrl, note } = req.body;
 
   if (!isValidObjectId(orderId)) {
     return next(new CustomError(400, "Invalid order ID"));
@@ -225,18 +382,22 @@ const updateOrderStatus = asyncHandler(async (req, res, next) => {
     return next(new CustomError(404, "Order not found"));
   }
 
-  // Update status and tracking number if provided
-  order.status = status;
-  if (trackingNumber) {
-    order.trackingNumber = trackingNumber;
-  }
-
-  // Set cancelledBy if admin is cancelling the order
-  if (status === "cancelled") {
-    order.cancelledBy = "admin";
+  const changedBy = req.user._id;
+
+  if (status === "shipped") {
+    // Shipping the whole order at once puts everything left in one shipment
+    await createShipment(
+      order,
+      { carrier: carrier || "Unknown", trackingNumber, trackingUrl },
+      { changedBy, note }
+    );
+  } else if (status === "delivered") {
+    await deliverOrder(order, { changedBy, note });
+  } else {
+    // Only declared transitions are allowed, with their side effects
+    // (stock restore on cancel, payment check before shipping)
+    await transitionOrderStatus(order, status, { changedBy, role: "admin", note });
   }
-
-  await order.save();
   await order.populate("customer", "name email");
 
   res.status(200).json({
@@ -246,6 +407,214 @@ const updateOrderStatus = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Create shipment for some or all order items (admin only)
+const createOrderShipment = asyncHandler(async (req, res, next) => {
+  const orderId = req.params.id;
+  const { carrier, trackingNumber, trackingUrl, items, note } = req.body;
+
+  if (!isValidObjectId(orderId)) {
+    return next(new CustomError(400, "Invalid order ID"));
+  }
+
+  if (items !== undefined && !Array.isArray(items)) {
+    return next(new CustomError(400, "Shipment items must be an array"));
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    return next(new CustomError(404, "Order not found"));
+  }
+
+  const shipment = await createShipment(
+    order,
+    { carrier, trackingNumber, trackingUrl, items },
+    { changedBy: req.user._id, note }
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Shipment created successfully",
+    data: shipment,
+    order: buildTrackingInfo(order),
+  });
+});
+
+// Mark shipment as delivered (admin only)
+const markOrderShipmentDelivered = asyncHandler(async (req, res, next) => {
+  const { id: orderId, shipmentId } = req.params;
+
+  if (!isValidObjectId(orderId) || !isValidObjectId(shipmentId)) {
+    return next(new CustomError(400, "Invalid order or shipment ID"));
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    return next(new CustomError(404, "Order not found"));
+  }
+
+  const shipment = await markShipmentDelivered(order, shipmentId, {
+    changedBy: req.user._id,
+    note: req.body?.note,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Shipment marked as delivered",
+    data: shipment,
+    order: buildTrackingInfo(order),
+  });
+});
+
+// Record cash collected on delivery (admin only)
+const collectCodPayment = asyncHandler(async (req, res, next) => {
+  const orderId = req.params.id;
+  const { collectedAmount, courier, note } = req.body;
+
+  if (!isValidObjectId(orderId)) {
+    return next(new CustomError(400, "Invalid order ID"));
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    return next(new CustomError(404, "Order not found"));
+  }
+
+  const payment = await recordCodCollection(order, {
+    collectedAmount,
+    courier,
+    note,
+    recordedBy: req.user._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message:
+      payment.cod.status === "discrepancy"
+        ? "Cash recorded, the amount does not match the order total"
+        : "Cash recorded successfully",
+    data: payment,
+    order: buildTrackingInfo(order),
+  });
+});
+
+// Record a cash on delivery order the customer didn't pay for (admin only)
+const refuseCodPayment = asyncHandler(async (req, res, next) => {
+  const orderId = req.params.id;
+  const { courier, note } = req.body;
+
+  if (!isValidObjectId(orderId)) {
+    return next(new CustomError(400, "Invalid order ID"));
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    return next(new CustomError(404, "Order not found"));
+  }
+
+  const payment = await recordCodRefusal(order, {
+    courier,
+    note,
+    recordedBy: req.user._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Order refused on delivery, stock restored",
+    data: payment,
+    order: buildTrackingInfo(order),
+  });
+});
+
+// Get order tracking (client can track their own, admin can track any)
+const getOrderTracking = asyncHandler(async (req, res, next) => {
+  const orderId = req.params.id;
+  const userId = req?.user?._id;
+  const userRole = req?.user?.role;
+
+  if (!isValidObjectId(orderId)) {
+    return next(new CustomError(400, "Invalid order ID"));
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    return next(new CustomError(404, "Order not found"));
+  }
+
+  if (userRole !== "admin" && order.customer.toString() !== userId.toString()) {
+    return next(new CustomError(403, "Access denied"));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: buildTrackingInfo(order),
+  });
+});
+
+// Download order invoice as pdf (client can get their own, admin can get any)
+const getOrderInvoice = asyncHandler(async (req, res, next) => {
+  const orderId = req.params.id;
+  const userId = req?.user?._id;
+  const userRole = req?.user?.role;
+
+  if (!isValidObjectId(orderId)) {
+    return next(new CustomError(400, "Invalid order ID"));
+  }
+
+  const order = await Order.findById(orderId).populate("customer", "name email");
+  if (!order) {
+    return next(new CustomError(404, "Order not found"));
+  }
+
+  if (userRole !== "admin" && order.customer._id.toString() !== userId.toString()) {
+    return next(new CustomError(403, "Access denied"));
+  }
+
+  const settings = await Settings.getSettings();
+  const pdf = await generateInvoicePDF(order, settings);
+
+  res.attachment(`invoice-${order.orderNumber || order._id}.pdf`);
+  res.type("application/pdf");
+  res.status(200).send(pdf);
+});
+
+// Preview the email of an order event, rendered from the order (admin only)
+const previewOrderMail = asyncHandler(async (req, res, next) => {
+  const { id: orderId, event } = req.params;
+
+  if (!isValidObjectId(orderId)) {
+    return next(new CustomError(400, "Invalid order ID"));
+  }
+
+  if (!orderMailEventNames.includes(event)) {
+    return next(
+      new CustomError(400, `Email must be one of ${orderMailEventNames.join(", ")}`)
+    );
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    return next(new CustomError(404, "Order not found"));
+  }
+
+  // sample details for the events that need them
+  const mail = await renderOrderMail(
+    event,
+    order,
+    { reason: req.query.reason, refundAmount: req.query.refundAmount ?? order.totalAmount },
+    { withAttachments: false }
+  );
+
+  if (req.query.format === "json") {
+    return res.status(200).json({
+      success: true,
+      data: { to: mail.to, subject: mail.subject, html: mail.html },
+    });
+  }
+
+  res.type("text/html");
+  res.status(200).send(mail.html);
+});
+
 // Cancel order (client can cancel their own pending orders)
 const cancelOrder = asyncHandler(async (req, res, next) => {
   const orderId = req.params.id;
@@ -270,18 +639,12 @@ const cancelOrder = asyncHandler(async (req, res, next) => {
     return next(new CustomError(400, "Can only cancel pending orders"));
   }
 
-  // Restore product stock
-  for (const item of order.items) {
-    const product = await Product.findById(item.product);
-    if (product) {
-      product.stock += item.quantity;
-      await product.save();
-    }
-  }
-
-  order.status = "cancelled";
-  order.cancelledBy = "client";
-  await order.save();
+  // Restore product stock together with the cancellation
+  await transitionOrderStatus(order, "cancelled", {
+    changedBy: userId,
+    role: "client",
+    note: req.body?.reason,
+  });
   await order.populate("customer", "name email");
 
   res.status(200).json({
@@ -293,9 +656,17 @@ const cancelOrder = asyncHandler(async (req, res, next) => {
 
 export {
   createOrder,
+  getOrderQuote,
   getMyOrders,
   getAllOrders,
   getOneOrder,
   updateOrderStatus,
+  createOrderShipment,
+  markOrderShipmentDelivered,
+  collectCodPayment,
+  refuseCodPayment,
+  getOrderTracking,
+  getOrderInvoice,
+  previewOrderMail,
   cancelOrder,
 };
@@ -1,121 +1,124 @@
 import { PaymentIntent } from "../models/paymentIntent.model.js";
+import { Order } from "../models/order.model.js";
+import { WebhookEvent } from "../models/webhookEvent.model.js";
+import { ReconciliationReport } from "../models/reconciliationReport.model.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { CustomError } from "../utils/customError.js";
+import { refundOrderPayment } from "../utils/refund.js";
+import { replayWebhookEvent } from "../utils/webhookEvent.js";
+import { reconcilePayments } from "../utils/paymentReconciler.js";
+import { resolveCodDiscrepancy } from "../utils/cod.js";
+import { setPaymentStatus } from "../utils/payment.js";
+import { buildPaymentSearchPipeline, paymentCsvFields } from "../utils/paymentSearch.js";
+import {
+    convertibleCurrencyFilter,
+    currencyMismatchFilter,
+    toStoreCurrencyExpression,
+} from "../utils/currency.js";
+import { Settings } from "../models/settings.model.js";
+import { Parser } from "json2csv";
 import { isValidObjectId } from "mongoose";
 
 // Get all payments with filters, search, and pagination (Admin only)
 const getAllPayments = asyncHandler(async (req, res, next) => {
-    const {
-        page = 1,
-        limit = 10,
-        search = "",
-        status = "",
-        startDate = "",
-        endDate = "",
-        sortBy = "createdAt",
-        sortOrder = "desc"
-    } = req.query;
-
-    // Build query
-    const query = {};
-
-    // Status filter
-    if (status && status !== "all") {
-        query.status = status;
-    }
-
-    // Date range filter
-    if (startDate || endDate) {
-        query.createdAt = {};
-        if (startDate) {
-            query.createdAt.$gte = new Date(startDate);
-        }
-        if (endDate) {
-            // Set to end of day
-            const end = new Date(endDate);
-            end.setHours(23, 59, 59, 999);
-            query.createdAt.$lte = end;
-        }
-    }
+    const { page = 1, limit = 10 } = req.query;
 
     // Pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.max(parseInt(limit) || 10, 1);
 
-    // Sorting
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
-
-    // Get payments with populated order and customer data
-    let payments = await PaymentIntent.find(query)
-        .populate({
-            path: "order",
-            populate: {
-                path: "customer",
-                select: "name email phone"
+    // Filter, count and paginate in the database
+    const [result] = await PaymentIntent.aggregate([
+        ...buildPaymentSearchPipeline(req.query),
+        {
+            $facet: {
+                payments: [{ $skip: (currentPage - 1) * pageSize }, { $limit: pageSize }],
+                total: [{ $count: "count" }],
             }
-        })
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(parseInt(limit));
-
-    // Apply search filter after population (searching in customer name/email or intentId)
-    if (search) {
-        payments = payments.filter(payment => {
-            const searchLower = search.toLowerCase();
-            const customerName = payment.order?.customer?.name?.toLowerCase() || "";
-            const customerEmail = payment.order?.customer?.email?.toLowerCase() || "";
-            const intentId = payment.intentId?.toLowerCase() || "";
-            const orderId = payment.order?._id?.toString() || "";
-
-            return (
-                customerName.includes(searchLower) ||
-                customerEmail.includes(searchLower) ||
-                intentId.includes(searchLower) ||
-                orderId.includes(searchLower)
-            );
-        });
-    }
+        }
+    ]);
 
-    // Get total count for pagination
-    const totalPayments = await PaymentIntent.countDocuments(query);
-    const totalPages = Math.ceil(totalPayments / parseInt(limit));
+    const totalPayments = result.total[0]?.count || 0;
+    const totalPages = Math.ceil(totalPayments / pageSize);
 
     res.status(200).json({
         success: true,
-        data: payments,
+        data: result.payments,
         pagination: {
-            currentPage: parseInt(page),
+            currentPage,
             totalPages,
             totalPayments,
-            hasNext: parseInt(page) < totalPages,
-            hasPrev: parseInt(page) > 1,
+            hasNext: currentPage < totalPages,
+            hasPrev: currentPage > 1,
         },
     });
 });
 
+// Export the filtered payments as csv (Admin only)
+const exportPayments = asyncHandler(async (req, res, next) => {
+    const payments = await PaymentIntent.aggregate(buildPaymentSearchPipeline(req.query));
+
+    const parser = new Parser({ fields: paymentCsvFields });
+    const csv = parser.parse(payments);
+
+    res.attachment(`payments-${new Date().toISOString().slice(0, 10)}.csv`);
+    res.type("text/csv");
+    res.status(200).send(csv);
+});
+
+// Stages converting payment amounts to the store currency, so sums stay right
+// across payments made in different currencies (payments in a currency
+// without exchange rate are left out, see currencyMismatch)
+const paymentsInStoreCurrency = (settings) => [
+    { $match: convertibleCurrencyFilter(settings) },
+    {
+        $addFields: {
+            totalAmount: toStoreCurrencyExpression("$totalAmount", settings),
+            refundedAmount: toStoreCurrencyExpression({ $ifNull: ["$refundedAmount", 0] }, settings),
+            "cod.expectedAmount": toStoreCurrencyExpression("$cod.expectedAmount", settings),
+            "cod.collectedAmount": toStoreCurrencyExpression("$cod.collectedAmount", settings),
+            "cod.discrepancyAmount": toStoreCurrencyExpression("$cod.discrepancyAmount", settings),
+        }
+    },
+];
+
 // Get payment analytics (Admin only)
 const getPaymentAnalytics = asyncHandler(async (req, res, next) => {
     const { period = "monthly" } = req.query;
+    const settings = await Settings.getSettings();
 
-    // Calculate total revenue
+    // Calculate total revenue (refunded money is no revenue)
     const totalRevenueResult = await PaymentIntent.aggregate([
-        { $match: { status: "paid" } },
-        { $group: { _id: null, total: { $sum: "$totalAmount" } } }
+        ...paymentsInStoreCurrency(settings),
+        { $match: { status: { $in: ["paid", "partially_refunded"] } } },
+        {
+            $group: {
+                _id: null,
+                total: { $sum: { $subtract: ["$totalAmount", { $ifNull: ["$refundedAmount", 0] }] } }
+            }
+        }
     ]);
     const totalRevenue = totalRevenueResult[0]?.total || 0;
 
     // Count by status
     const statusCounts = await PaymentIntent.aggregate([
+        ...paymentsInStoreCurrency(settings),
         {
             $group: {
                 _id: "$status",
                 count: { $count: {} },
-                amount: { $sum: "$totalAmount" }
+                amount: { $sum: "$totalAmount" },
+                refunded: { $sum: { $ifNull: ["$refundedAmount", 0] } }
             }
         }
     ]);
 
+    // payments that could not be converted and are missing from the sums
+    const currencyMismatch = await PaymentIntent.countDocuments(currencyMismatchFilter(settings));
+
     const analytics = {
+        currency: settings.currency,
+        currencyMismatch,
         totalRevenue,
         pendingPayments: statusCounts.find(s => s._id === "pending")?.count || 0,
         pendingAmount: statusCounts.find(s => s._id === "pending")?.amount || 0,
@@ -125,6 +128,49 @@ const getPaymentAnalytics = asyncHandler(async (req, res, next) => {
         failedAmount: statusCounts.find(s => s._id === "failed")?.amount || 0,
         refundedPayments: statusCounts.find(s => s._id === "refunded")?.count || 0,
         refundedAmount: statusCounts.find(s => s._id === "refunded")?.amount || 0,
+        partiallyRefundedPayments: statusCounts.find(s => s._id === "partially_refunded")?.count || 0,
+        partiallyRefundedAmount: statusCounts.find(s => s._id === "partially_refunded")?.refunded || 0,
+        totalRefunded: statusCounts.reduce((sum, s) => sum + s.refunded, 0),
+    };
+
+    // Cash on delivery collection (payments marked paid by hand count as collected in full)
+    const codCounts = await PaymentIntent.aggregate([
+        { $match: { intentId: "cash_on_delivery" } },
+        ...paymentsInStoreCurrency(settings),
+        {
+            $group: {
+                _id: { $ifNull: ["$cod.status", "$status"] },
+                count: { $count: {} },
+                expected: { $sum: { $ifNull: ["$cod.expectedAmount", "$totalAmount"] } },
+                collected: { $sum: { $ifNull: ["$cod.collectedAmount", "$totalAmount"] } },
+                discrepancy: { $sum: { $ifNull: ["$cod.discrepancyAmount", 0] } },
+                unresolved: {
+                    $sum: {
+                        $cond: [
+                            { $and: [{ $eq: ["$cod.status", "discrepancy"] }, { $not: ["$cod.resolvedAt"] }] },
+                            1,
+                            0
+                        ]
+                    }
+                }
+            }
+        }
+    ]);
+    const codLine = (...keys) => codCounts.filter(c => keys.includes(c._id));
+    const sumOf = (lines, field) => lines.reduce((sum, line) => sum + line[field], 0);
+    const collectedLines = codLine("collected", "discrepancy", "paid", "partially_refunded", "refunded");
+
+    analytics.cashOnDelivery = {
+        collectedPayments: sumOf(collectedLines, "count"),
+        expectedAmount: sumOf(collectedLines, "expected"),
+        collectedAmount: sumOf(collectedLines, "collected"),
+        outstandingPayments: sumOf(codLine("pending"), "count"),
+        outstandingAmount: sumOf(codLine("pending"), "expected"),
+        refusedPayments: sumOf(codLine("refused"), "count"),
+        refusedAmount: sumOf(codLine("refused"), "expected"),
+        discrepancyPayments: sumOf(codLine("discrepancy"), "count"),
+        unresolvedDiscrepancies: sumOf(codLine("discrepancy"), "unresolved"),
+        discrepancyAmount: sumOf(codLine("discrepancy"), "discrepancy"),
     };
 
     // Revenue trend data based on period
@@ -152,6 +198,7 @@ const getPaymentAnalytics = asyncHandler(async (req, res, next) => {
                 createdAt: { $gte: dateRange }
             }
         },
+        ...paymentsInStoreCurrency(settings),
         {
             $group: {
                 _id: groupByFormat,
@@ -183,18 +230,21 @@ const updatePaymentStatus = asyncHandler(async (req, res, next) => {
         return next(new CustomError(400, "Invalid payment ID"));
     }
 
-    const validStatuses = ["pending", "paid", "failed", "refunded"];
+    const validStatuses = ["pending", "paid", "failed"];
+    if (status === "refunded" || status === "partially_refunded") {
+        return next(new CustomError(400, "Use the refund endpoint to refund a payment"));
+    }
     if (!status || !validStatuses.includes(status)) {
         return next(new CustomError(400, "Invalid status"));
     }
 
-    const payment = await PaymentIntent.findById(id);
-    if (!payment) {
+    const current = await PaymentIntent.findById(id);
+    if (!current) {
         return next(new CustomError(404, "Payment not found"));
     }
 
-    payment.status = status;
-    await payment.save();
+    // only legal transitions, the order follows in the same transaction
+    const payment = await setPaymentStatus(current, status, { note: req.body?.note });
 
     // Populate for response
     await payment.populate({
@@ -212,8 +262,202 @@ const updatePaymentStatus = asyncHandler(async (req, res, next) => {
     });
 });
 
+// Close a flagged cash on delivery collection (Admin only)
+const resolveCodPayment = asyncHandler(async (req, res, next) => {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+        return next(new CustomError(400, "Invalid payment ID"));
+    }
+
+    const payment = await PaymentIntent.findById(id);
+    if (!payment) {
+        return next(new CustomError(404, "Payment not found"));
+    }
+
+    await resolveCodDiscrepancy(payment, {
+        note: req.body?.note,
+        resolvedBy: req.user._id,
+    });
+
+    res.status(200).json({
+        success: true,
+        message: "Cash on delivery discrepancy resolved",
+        data: payment,
+    });
+});
+
+// Refund a payment in full, by amount or by order items (Admin only)
+const refundPayment = asyncHandler(async (req, res, next) => {
+    const { id } = req.params;
+    const { amount, items, restock, reason } = req.body;
+
+    if (!isValidObjectId(id)) {
+        return next(new CustomError(400, "Invalid payment ID"));
+    }
+
+    if (items !== undefined && !Array.isArray(items)) {
+        return next(new CustomError(400, "Refund items must be an array"));
+    }
+
+    const payment = await PaymentIntent.findById(id);
+    if (!payment) {
+        return next(new CustomError(404, "Payment not found"));
+    }
+
+    const order = await Order.findById(payment.order);
+    if (!order) {
+        return next(new CustomError(404, "Order not found"));
+    }
+
+    const refund = await refundOrderPayment(order, {
+        amount,
+        items,
+        restock: restock === true || restock === "true",
+        reason,
+        source: "admin",
+        createdBy: req.user._id,
+    });
+
+    const updatedPayment = await PaymentIntent.findById(id).populate({
+        path: "order",
+        populate: {
+            path: "customer",
+            select: "name email phone"
+        }
+    });
+
+    res.status(201).json({
+        success: true,
+        message: "Payment refunded successfully",
+        data: refund,
+        payment: updatedPayment,
+    });
+});
+
+// Get received webhook events, failed ones by default (Admin only)
+const getWebhookEvents = asyncHandler(async (req, res, next) => {
+    const { page = 1, limit = 10, status = "failed", type = "" } = req.query;
+
+    const query = {};
+    if (status && status !== "all") {
+        query.status = status;
+    }
+    if (type) {
+        query.type = type;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const events = await WebhookEvent.find(query)
+        .select("-payload")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+    const totalEvents = await WebhookEvent.countDocuments(query);
+    const totalPages = Math.ceil(totalEvents / parseInt(limit));
+
+    res.status(200).json({
+        success: true,
+        data: events,
+        pagination: {
+            currentPage: parseInt(page),
+            totalPages,
+            totalEvents,
+            hasNext: parseInt(page) < totalPages,
+            hasPrev: parseInt(page) > 1,
+        },
+    });
+});
+
+// Run a failed webhook event again (Admin only)
+const replayWebhook = asyncHandler(async (req, res, next) => {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+        return next(new CustomError(400, "Invalid event ID"));
+    }
+
+    const event = await WebhookEvent.findById(id).select("status");
+    if (!event) {
+        return next(new CustomError(404, "Webhook event not found"));
+    }
+
+    const replayed = await replayWebhookEvent(id);
+    if (!replayed) {
+        return next(new CustomError(400, `Only failed events can be replayed, this one is ${event.status}`));
+    }
+
+    res.status(200).json({
+        success: replayed.status !== "failed",
+        message: replayed.status === "failed"
+            ? "Webhook event failed again"
+            : "Webhook event replayed successfully",
+        data: {
+            _id: replayed._id,
+            eventId: replayed.eventId,
+            type: replayed.type,
+            status: replayed.status,
+            attempts: replayed.attempts,
+            error: replayed.error,
+            processedAt: replayed.processedAt,
+        },
+    });
+});
+
+// Reconcile payments with Stripe now (Admin only)
+const runPaymentReconciliation = asyncHandler(async (req, res, next) => {
+    const report = await reconcilePayments({
+        trigger: "admin",
+        triggeredBy: req.user._id,
+    });
+
+    res.status(200).json({
+        success: !report.error,
+        message: report.error
+            ? `Payment reconciliation stopped: ${report.error}`
+            : "Payment reconciliation completed",
+        data: report,
+    });
+});
+
+// Get payment reconciliation reports, latest first (Admin only)
+const getReconciliationReports = asyncHandler(async (req, res, next) => {
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const reports = await ReconciliationReport.find()
+        .populate("triggeredBy", "name email")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+    const totalReports = await ReconciliationReport.countDocuments();
+    const totalPages = Math.ceil(totalReports / parseInt(limit));
+
+    res.status(200).json({
+        success: true,
+        data: reports,
+        pagination: {
+            currentPage: parseInt(page),
+            totalPages,
+            totalReports,
+            hasNext: parseInt(page) < totalPages,
+            hasPrev: parseInt(page) > 1,
+        },
+    });
+});
+
 export {
     getAllPayments,
+    exportPayments,
     getPaymentAnalytics,
     updatePaymentStatus,
+    refundPayment,
+    resolveCodPayment,
+    getWebhookEvents,
+    replayWebhook,
+    runPaymentReconciliation,
+    getReconciliationReports,
 };
@@ -2,6 +2,8 @@ import { isValidObjectId } from "mongoose";
 import { Product } from "../models/product.model.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { CustomError } from "../utils/customError.js";
+import { withPricing } from "../utils/pricing.js";
+import { notifyWishlistProductChange } from "../utils/notifications.js";
 import {
   removeFromCloudinary,
   removeMultipleFromCloudinary,
@@ -14,7 +16,7 @@ const createProduct = asyncHandler(async (req, res, next) => {
     return next(new CustomError(401, "Unauthorized"));
   }
 
-  const { name, description, price, category, stock, is_flash_sale, flash_sale_price, existingImages, is_featured } = req.body;
+  const { name, description, price, category, stock, weight, is_flash_sale, flash_sale_price, existingImages, is_featured } = req.body;
   const files = req.files;
 
   if (!name || !description || !price || !category || !stock) {
@@ -49,6 +51,7 @@ const createProduct = asyncHandler(async (req, res, next) => {
     price: parseFloat(price),
     category,
     stock: parseInt(stock),
+    weight: weight !== undefined ? parseFloat(weight) || 0 : undefined,
     images,
     owner: ownerId,
     is_featured: is_featured === 'true' || is_featured === true,
@@ -118,7 +121,7 @@ const getAllProducts = asyncHandler(async (req, res, next) => {
 
   res.status(200).json({
     success: true,
-    data: products,
+    data: products.map((product) => withPricing(product, req.currency)),
     pagination: {
       currentPage: parseInt(page),
       totalPages,
@@ -140,7 +143,7 @@ const getOneProduct = asyncHandler(async (req, res, next) => {
   }
   res.status(200).json({
     success: true,
-    data: product,
+    data: withPricing(product, req.currency),
   });
 });
 
@@ -184,7 +187,7 @@ const getProductsByCategory = asyncHandler(async (req, res, next) => {
 
   res.status(200).json({
     success: true,
-    data: products,
+    data: products.map((product) => withPricing(product, req.currency)),
     category: categoryName,
     pagination: {
       currentPage: parseInt(page),
@@ -214,8 +217,10 @@ const updateProduct = asyncHandler(async (req, res, next) => {
     return next(new CustomError(403, "Forbidden: You do not own this product"));
   }
 
-  const { name, description, price, category, stock, is_flash_sale, flash_sale_price, existingImages, is_featured } = req.body;
+  const { name, description, price, category, stock, weight, is_flash_sale, flash_sale_price, existingImages, is_featured } = req.body;
   const files = req.files;
+  const previousStock = product.stock;
+  const previousPrice = product.price;
 
   // Update basic fields
   if (name !== undefined) product.name = name;
@@ -223,6 +228,7 @@ const updateProduct = asyncHandler(async (req, res, next) => {
   if (price !== undefined) product.price = parseFloat(price);
   if (category !== undefined) product.category = category;
   if (stock !== undefined) product.stock = parseInt(stock);
+  if (weight !== undefined) product.weight = parseFloat(weight) || 0;
   if (is_featured) product.is_featured = is_featured;
 
   // Handle flash sale updates
@@ -278,6 +284,7 @@ const updateProduct = asyncHandler(async (req, res, next) => {
   }
 
   await product.save();
+  notifyWishlistProductChange(product, { previousStock, previousPrice });
   res.status(200).json({
     success: true,
     message: "Product updated successfully",
@@ -323,7 +330,7 @@ const getMyProducts = asyncHandler(async (req, res, next) => {
   const products = await Product.find({ owner: ownerId }).populate('owner', 'name email');
   res.status(200).json({
     success: true,
-    data: products,
+    data: products.map((product) => withPricing(product, req.currency)),
   });
 });
 
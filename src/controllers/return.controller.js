@@ -0,0 +1,328 @@
+import { isValidObjectId } from "mongoose";
+import { Order } from "../models/order.model.js";
+import { ReturnRequest } from "../models/returnRequest.model.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { CustomError } from "../utils/customError.js";
+import { uploadMultipleOnCloudinary } from "../utils/cloudinary.js";
+import { restoreStock } from "../utils/inventory.js";
+import { refundOrderPayment } from "../utils/refund.js";
+import {
+  buildReturnItems,
+  changeReturnStatus,
+} from "../utils/returnRequest.js";
+import { runInTransaction } from "../utils/transaction.js";
+
+// find a return request or fail
+const findReturnRequest = async (id) => {
+  if (!isValidObjectId(id)) {
+    throw new CustomError(400, "Invalid return ID");
+  }
+  const returnRequest = await ReturnRequest.findById(id);
+  if (!returnRequest) {
+    throw new CustomError(404, "Return request not found");
+  }
+  return returnRequest;
+};
+
+// Open a return request for delivered order items (client side)
+const createReturn = asyncHandler(async (req, res, next) => {
+  const customerId = req?.user?._id;
+  if (!customerId) {
+    return next(new CustomError(401, "Unauthorized"));
+  }
+
+  const { orderId, reason, comment } = req.body;
+  let { items } = req.body;
+
+  if (!orderId || !isValidObjectId(orderId)) {
+    return next(new CustomError(400, "Valid order ID is required"));
+  }
+
+  if (!reason) {
+    return next(new CustomError(400, "Please provide a reason for the return"));
+  }
+
+  // items arrive as a json string with multipart photo uploads
+  if (typeof items === "string") {
+    try {
+      items = JSON.parse(items);
+    } catch (error) {
+      return next(new CustomError(400, "Invalid return items"));
+    }
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    return next(new CustomError(404, "Order not found"));
+  }
+
+  if (order.customer.toString() !== customerId.toString()) {
+    return next(new CustomError(403, "Access denied"));
+  }
+
+  const returnItems = await buildReturnItems(order, items);
+
+  let photos = [];
+  const files = req.files;
+  if (files && files.length > 0) {
+    const uploadedImages = await uploadMultipleOnCloudinary(files, "returns");
+    if (!uploadedImages || uploadedImages.length === 0) {
+      return next(new CustomError(500, "Failed to upload photos"));
+    }
+    photos = uploadedImages.map((img) => ({
+      public_id: img.public_id,
+      url: img.secure_url,
+    }));
+  }
+
+  const returnRequest = await ReturnRequest.create({
+    order: order._id,
+    customer: customerId,
+    items: returnItems,
+    reason,
+    comment,
+    photos,
+    history: [{ to: "requested", changedBy: customerId, role: "client", note: reason }],
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Return request submitted successfully",
+    data: returnRequest,
+  });
+});
+
+// Get user's own return requests (client side)
+const getMyReturns = asyncHandler(async (req, res, next) => {
+  const customerId = req?.user?._id;
+  if (!customerId) {
+    return next(new CustomError(401, "Unauthorized"));
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const returns = await ReturnRequest.find({ customer: customerId })
+    .populate("order", "orderNumber")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const totalReturns = await ReturnRequest.countDocuments({ customer: customerId });
+  const totalPages = Math.ceil(totalReturns / limit);
+
+  res.status(200).json({
+    success: true,
+    data: returns,
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalReturns,
+      hasNext: page < totalPages,
+      hasPrev: page > 1,
+    },
+  });
+});
+
+// Get all return requests (admin side)
+const getAllReturns = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const status = req.query.status;
+  const query = status ? { status } : {};
+
+  const returns = await ReturnRequest.find(query)
+    .populate("customer", "name email")
+    .populate("order", "orderNumber paymentMethod")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const totalReturns = await ReturnRequest.countDocuments(query);
+  const totalPages = Math.ceil(totalReturns / limit);
+
+  res.status(200).json({
+    success: true,
+    data: returns,
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalReturns,
+      hasNext: page < totalPages,
+      hasPrev: page > 1,
+    },
+  });
+});
+
+// Get one return request (client can get their own, admin can get any)
+const getOneReturn = asyncHandler(async (req, res, next) => {
+  const userId = req?.user?._id;
+  const userRole = req?.user?.role;
+
+  const returnRequest = await findReturnRequest(req.params.id);
+
+  if (userRole !== "admin" && returnRequest.customer.toString() !== userId.toString()) {
+    return next(new CustomError(403, "Access denied"));
+  }
+
+  await returnRequest.populate([
+    { path: "customer", select: "name email" },
+    { path: "order", select: "orderNumber status paymentMethod paymentStatus" },
+    { path: "history.changedBy", select: "name role" },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: returnRequest,
+  });
+});
+
+// Approve return request (admin only)
+const approveReturn = asyncHandler(async (req, res, next) => {
+  const returnRequest = await findReturnRequest(req.params.id);
+
+  changeReturnStatus(returnRequest, "approved", {
+    changedBy: req.user._id,
+    note: req.body?.note,
+  });
+  if (req.body?.note) returnRequest.adminNote = req.body.note;
+  await returnRequest.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Return request approved",
+    data: returnRequest,
+  });
+});
+
+// Reject return request (admin only)
+const rejectReturn = asyncHandler(async (req, res, next) => {
+  const returnRequest = await findReturnRequest(req.params.id);
+
+  if (!req.body?.note) {
+    return next(new CustomError(400, "Please provide a reason for the rejection"));
+  }
+
+  changeReturnStatus(returnRequest, "rejected", {
+    changedBy: req.user._id,
+    note: req.body.note,
+  });
+  returnRequest.adminNote = req.body.note;
+  await returnRequest.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Return request rejected",
+    data: returnRequest,
+  });
+});
+
+// Mark returned items as received, restocking them by default (admin only)
+const receiveReturn = asyncHandler(async (req, res, next) => {
+  const returnRequest = await findReturnRequest(req.params.id);
+  const restock = req.body?.restock !== false && req.body?.restock !== "false";
+
+  changeReturnStatus(returnRequest, "received", {
+    changedBy: req.user._id,
+    note: req.body?.note,
+  });
+  returnRequest.restocked = restock;
+
+  // damaged items are received without going back on sale
+  await runInTransaction(async (session) => {
+    // claim the transition, so a parallel request can't restock the items twice
+    const claimed = await ReturnRequest.updateOne(
+      { _id: returnRequest._id, status: "approved" },
+      { $set: { status: "received" } },
+      { session }
+    );
+    if (!claimed.modifiedCount) {
+      throw new CustomError(409, "Return was received in the meantime");
+    }
+    if (restock) await restoreStock(returnRequest.items, session);
+    await returnRequest.save({ session });
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Returned items received",
+    data: returnRequest,
+  });
+});
+
+// Refund a received return (admin only)
+const refundReturn = asyncHandler(async (req, res, next) => {
+  const returnRequest = await findReturnRequest(req.params.id);
+
+  if (returnRequest.status !== "received") {
+    return next(new CustomError(400, "Only received returns can be refunded"));
+  }
+
+  const order = await Order.findById(returnRequest.order);
+  if (!order) {
+    return next(new CustomError(404, "Order not found"));
+  }
+
+  // hold the return while the money goes out, so it is refunded only once
+  const claimed = await ReturnRequest.updateOne(
+    { _id: returnRequest._id, status: "received" },
+    { $set: { status: "refunding" } }
+  );
+  if (!claimed.modifiedCount) {
+    return next(new CustomError(409, "Return is already being refunded"));
+  }
+
+  // defaults to what the customer paid for the returned items, which
+  // are already back in stock when they were received
+  let refund;
+  try {
+    refund = await refundOrderPayment(order, {
+      amount: req.body?.amount,
+      items: returnRequest.items,
+      reason: returnRequest.reason,
+      source: "return",
+      returnRequest: returnRequest._id,
+      createdBy: req.user._id,
+    });
+  } catch (error) {
+    // nothing was refunded, the return can be refunded again
+    await ReturnRequest.updateOne(
+      { _id: returnRequest._id, status: "refunding" },
+      { $set: { status: "received" } }
+    );
+    throw error;
+  }
+
+  changeReturnStatus(returnRequest, "refunded", {
+    changedBy: req.user._id,
+    note: req.body?.note,
+  });
+  returnRequest.refund = {
+    method: refund.method,
+    refundId: refund.refundId,
+    amount: refund.amount,
+    status: refund.status,
+    refundedAt: new Date(),
+  };
+  await returnRequest.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Return refunded successfully",
+    data: returnRequest,
+  });
+});
+
+export {
+  createReturn,
+  getMyReturns,
+  getAllReturns,
+  getOneReturn,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn,
+};
@@ -1,6 +1,13 @@
 import { Settings } from "../models/settings.model.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { CustomError } from "../utils/customError.js";
+import {
+    getExchangeRate,
+    getMinorUnits,
+    isSupportedCurrency,
+    normalizeCurrency,
+    supportedCurrencies,
+} from "../utils/currency.js";
 
 // Get admin settings (full access)
 const getSettings = asyncHandler(async (req, res, next) => {
@@ -19,20 +26,58 @@ const updateSettings = asyncHandler(async (req, res, next) => {
         siteDescription,
         contactEmail,
         contactPhone,
+        logoUrl,
+        storeAddress,
         currency,
         timezone,
         maintenanceMode,
+        pricesIncludeTax,
+        exchangeRates,
+        codFee,
+        maxCodOrderValue,
     } = req.body;
 
+    for (const [name, value] of Object.entries({ codFee, maxCodOrderValue })) {
+        if (typeof value !== "undefined" && !(Number(value) >= 0)) {
+            return next(new CustomError(400, `${name} must be a positive number`));
+        }
+    }
+
+    if (currency && !isSupportedCurrency(currency)) {
+        return next(new CustomError(400, `Currency must be one of ${supportedCurrencies.join(", ")}`));
+    }
+
+    // exchange rates replace the stored ones: { "EUR": 0.92, ... }
+    let rates;
+    if (typeof exchangeRates !== "undefined") {
+        if (!exchangeRates || typeof exchangeRates !== "object" || Array.isArray(exchangeRates)) {
+            return next(new CustomError(400, "Exchange rates must be an object of currency rates"));
+        }
+        rates = new Map();
+        for (const [code, value] of Object.entries(exchangeRates)) {
+            const rate = Number(value);
+            if (!isSupportedCurrency(code) || !(rate > 0)) {
+                return next(new CustomError(400, `Invalid exchange rate for ${code}`));
+            }
+            rates.set(normalizeCurrency(code), rate);
+        }
+    }
+
     let settings = await Settings.getSettings();
 
     if (siteName) settings.siteName = siteName;
     if (siteDescription) settings.siteDescription = siteDescription;
     if (contactEmail) settings.contactEmail = contactEmail;
     if (contactPhone) settings.contactPhone = contactPhone;
-    if (currency) settings.currency = currency;
+    if (typeof logoUrl !== "undefined") settings.logoUrl = logoUrl;
+    if (typeof storeAddress !== "undefined") settings.storeAddress = storeAddress;
+    if (currency) settings.currency = normalizeCurrency(currency);
+    if (rates) settings.exchangeRates = rates;
+    if (typeof codFee !== "undefined") settings.codFee = Number(codFee);
+    if (typeof maxCodOrderValue !== "undefined") settings.maxCodOrderValue = Number(maxCodOrderValue);
     if (timezone) settings.timezone = timezone;
     if (typeof maintenanceMode !== "undefined") settings.maintenanceMode = maintenanceMode;
+    if (typeof pricesIncludeTax !== "undefined") settings.pricesIncludeTax = pricesIncludeTax;
 
     await settings.save();
 
@@ -51,7 +96,20 @@ const getPublicConfig = asyncHandler(async (req, res, next) => {
     const publicConfig = {
         siteName: settings.siteName,
         siteDescription: settings.siteDescription,
+        logoUrl: settings.logoUrl,
         currency: settings.currency,
+        currencyMinorUnits: getMinorUnits(settings.currency),
+        // display currencies with a known exchange rate
+        currencies: supportedCurrencies
+            .map((code) => ({
+                code,
+                rate: getExchangeRate(settings, code),
+                minorUnits: getMinorUnits(code),
+            }))
+            .filter((entry) => entry.rate),
+        pricesIncludeTax: settings.pricesIncludeTax,
+        codFee: settings.codFee,
+        maxCodOrderValue: settings.maxCodOrderValue,
         maintenanceMode: settings.maintenanceMode,
         contactEmail: settings.contactEmail,
         contactPhone: settings.contactPhone,
@@ -0,0 +1,166 @@
+import { isValidObjectId } from "mongoose";
+import { ShippingZone } from "../models/shippingZone.model.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { CustomError } from "../utils/customError.js";
+import { buildOrderItems, resolveCheckoutItems } from "../utils/checkout.js";
+import { getShippingOptions } from "../utils/shipping.js";
+
+// Validate shipping methods shared by create and update
+const validateShippingMethods = (methods) => {
+  if (!Array.isArray(methods)) return "Shipping methods must be an array";
+  for (const method of methods) {
+    if (!method?.name || !["flat", "weight", "free_over"].includes(method.type)) {
+      return "Each shipping method needs a name and a valid type (flat, weight, free_over)";
+    }
+    if (method.type === "free_over" && method.freeOverAmount === undefined) {
+      return `Please provide the free shipping threshold for ${method.name}`;
+    }
+  }
+  return null;
+};
+
+// Create shipping zone (admin only)
+const createShippingZone = asyncHandler(async (req, res, next) => {
+  const { name, countries = [], states = [], methods = [], isActive } = req.body;
+
+  if (!name) {
+    return next(new CustomError(400, "Please provide zone name"));
+  }
+
+  const validationError = validateShippingMethods(methods);
+  if (validationError) {
+    return next(new CustomError(400, validationError));
+  }
+
+  const zone = await ShippingZone.create({
+    name,
+    countries,
+    states,
+    methods,
+    isActive,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Shipping zone created successfully",
+    data: zone,
+  });
+});
+
+// Get all shipping zones (admin only)
+const getAllShippingZones = asyncHandler(async (req, res, next) => {
+  const zones = await ShippingZone.find().sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: zones,
+  });
+});
+
+// Get one shipping zone (admin only)
+const getOneShippingZone = asyncHandler(async (req, res, next) => {
+  const zoneId = req.params.id;
+  if (!isValidObjectId(zoneId)) {
+    return next(new CustomError(400, "Invalid shipping zone ID"));
+  }
+
+  const zone = await ShippingZone.findById(zoneId);
+  if (!zone) {
+    return next(new CustomError(404, "Shipping zone not found"));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: zone,
+  });
+});
+
+// Update shipping zone (admin only)
+const updateShippingZone = asyncHandler(async (req, res, next) => {
+  const zoneId = req.params.id;
+  if (!isValidObjectId(zoneId)) {
+    return next(new CustomError(400, "Invalid shipping zone ID"));
+  }
+
+  const zone = await ShippingZone.findById(zoneId);
+  if (!zone) {
+    return next(new CustomError(404, "Shipping zone not found"));
+  }
+
+  const { name, countries, states, methods, isActive } = req.body;
+
+  if (methods !== undefined) {
+    const validationError = validateShippingMethods(methods);
+    if (validationError) {
+      return next(new CustomError(400, validationError));
+    }
+    zone.methods = methods;
+  }
+  if (name !== undefined) zone.name = name;
+  if (countries !== undefined) zone.countries = countries;
+  if (states !== undefined) zone.states = states;
+  if (isActive !== undefined) zone.isActive = isActive;
+
+  await zone.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Shipping zone updated successfully",
+    data: zone,
+  });
+});
+
+// Delete shipping zone (admin only)
+const deleteShippingZone = asyncHandler(async (req, res, next) => {
+  const zoneId = req.params.id;
+  if (!isValidObjectId(zoneId)) {
+    return next(new CustomError(400, "Invalid shipping zone ID"));
+  }
+
+  const zone = await ShippingZone.findByIdAndDelete(zoneId);
+  if (!zone) {
+    return next(new CustomError(404, "Shipping zone not found"));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Shipping zone deleted successfully",
+  });
+});
+
+// Quote shipping options for the given items (or the customer cart)
+const getShippingQuote = asyncHandler(async (req, res, next) => {
+  const customerId = req?.user?._id;
+  const { shippingAddress } = req.body;
+
+  if (!shippingAddress?.country) {
+    return next(new CustomError(400, "Please provide shipping address country"));
+  }
+
+  const { items } = await resolveCheckoutItems(customerId, req.body.items);
+  const { orderItems, subtotal } = await buildOrderItems(items);
+  const { zone, options } = await getShippingOptions(
+    shippingAddress,
+    orderItems,
+    subtotal
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      zone: zone ? { _id: zone._id, name: zone.name } : null,
+      // null options means no zones are configured and shipping is free
+      options: options ?? [{ methodId: null, name: "Free shipping", type: "flat", cost: 0 }],
+      available: options === null || options.length > 0,
+    },
+  });
+});
+
+export {
+  createShippingZone,
+  getAllShippingZones,
+  getOneShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+  getShippingQuote,
+};
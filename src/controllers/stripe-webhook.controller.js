@@ -1,66 +1,33 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
-import { CustomError } from "../utils/customError.js";
-import { stripe } from "../utils/stripe.js";
-import { PaymentIntent } from "../models/paymentIntent.model.js";
-import { Order } from "../models/order.model.js";
+import { constructWebhookEvent } from "../utils/paymentProvider.js";
+import { claimWebhookEvent, processWebhookEvent } from "../utils/webhookEvent.js";
 
 const stripeWebhook = asyncHandler(async (req, res, next) => {
   const signature = req.headers['stripe-signature'];
   let event;
 
   try {
-    event = stripe.webhooks.constructEvent(req.body, signature, process.env.STRIPE_WEBHOOK_SECRET);
+    event = constructWebhookEvent(req.body, signature);
   } catch (err) {
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  console.log("event", event);
+  console.log("event", event.type, event.id);
 
-  // Handle the event
-  switch (event.type) {
-    case 'checkout.session.completed':
-      console.log("checkout.session.completed");
-      const session = event.data.object;
-      const metadata = session.metadata;
-      const orderId = metadata.orderId;
-      const totalAmount = parseFloat(metadata.totalAmount);
-      console.log("orderId", orderId);
-      console.log("totalAmount", totalAmount);
-      console.log("session.id", session.id);
-      console.log("metadata", metadata);
-
-      const paymentIntent = await PaymentIntent.findOne({ intentId: session.id });
-      if (!paymentIntent) {
-        console.log("Payment intent not found for session:", session.id);
-        return res.status(200).json({ received: true }); // Don't fail for missing payment intent
-      }
-
-      paymentIntent.status = 'paid';
-      paymentIntent.totalAmount = totalAmount;
-      await paymentIntent.save();
-
-      const order = await Order.findById(orderId);
-      if (!order) {
-        console.log("Order not found:", orderId);
-        return res.status(200).json({ received: true }); // Don't fail for missing order
-      }
-
-      console.log("Order before update:", { paymentStatus: order.paymentStatus, totalAmount: order.totalAmount, paymentMethod: order.paymentMethod });
-
-      order.paymentStatus = 'paid';
-      order.totalAmount = totalAmount;
-
-      console.log("Order after update:", { paymentStatus: order.paymentStatus, totalAmount: order.totalAmount, paymentMethod: order.paymentMethod });
-
-      await order.save();
-      console.log("Order saved successfully");
-      break;
+  // Stripe retries deliveries, every event is processed once
+  const record = await claimWebhookEvent(event);
+  if (!record) {
+    console.log(`Duplicate event ${event.id} skipped`);
+    return res.status(200).json({ received: true, duplicate: true });
+  }
 
-    default:
-      console.log(`Unhandled event type: ${event.type}`);
+  // Handle the event (a failing handler answers 500 so stripe delivers it again)
+  await processWebhookEvent(record);
+  if (record.status === "ignored") {
+    console.log(`Unhandled event type: ${event.type}`);
   }
 
   res.status(200).json({ received: true });
 });
 
-export { stripeWebhook };
\ No newline at end of file
+export { stripeWebhook };
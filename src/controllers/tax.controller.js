@@ -0,0 +1,102 @@
+import { isValidObjectId } from "mongoose";
+import { TaxRule } from "../models/taxRule.model.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { CustomError } from "../utils/customError.js";
+
+// Create tax rule (admin only)
+const createTaxRule = asyncHandler(async (req, res, next) => {
+  const { name, country, state, taxClass, rate, isActive } = req.body;
+
+  if (!name || !country || rate === undefined) {
+    return next(new CustomError(400, "Please provide name, country and rate"));
+  }
+
+  if (rate < 0 || rate > 100) {
+    return next(new CustomError(400, "Tax rate must be between 0 and 100"));
+  }
+
+  const taxRule = await TaxRule.create({
+    name,
+    country,
+    state,
+    taxClass,
+    rate,
+    isActive,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Tax rule created successfully",
+    data: taxRule,
+  });
+});
+
+// Get all tax rules (admin only)
+const getAllTaxRules = asyncHandler(async (req, res, next) => {
+  const { country, taxClass } = req.query;
+
+  const query = {};
+  if (country) query.country = { $regex: `^${country}$`, $options: "i" };
+  if (taxClass) query.taxClass = taxClass.toLowerCase();
+
+  const taxRules = await TaxRule.find(query).sort({ country: 1, state: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: taxRules,
+  });
+});
+
+// Update tax rule (admin only)
+const updateTaxRule = asyncHandler(async (req, res, next) => {
+  const taxRuleId = req.params.id;
+  if (!isValidObjectId(taxRuleId)) {
+    return next(new CustomError(400, "Invalid tax rule ID"));
+  }
+
+  const taxRule = await TaxRule.findById(taxRuleId);
+  if (!taxRule) {
+    return next(new CustomError(404, "Tax rule not found"));
+  }
+
+  const { name, country, state, taxClass, rate, isActive } = req.body;
+
+  if (rate !== undefined && (rate < 0 || rate > 100)) {
+    return next(new CustomError(400, "Tax rate must be between 0 and 100"));
+  }
+
+  if (name !== undefined) taxRule.name = name;
+  if (country !== undefined) taxRule.country = country;
+  if (state !== undefined) taxRule.state = state;
+  if (taxClass !== undefined) taxRule.taxClass = taxClass || "standard";
+  if (rate !== undefined) taxRule.rate = rate;
+  if (isActive !== undefined) taxRule.isActive = isActive;
+
+  await taxRule.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Tax rule updated successfully",
+    data: taxRule,
+  });
+});
+
+// Delete tax rule (admin only)
+const deleteTaxRule = asyncHandler(async (req, res, next) => {
+  const taxRuleId = req.params.id;
+  if (!isValidObjectId(taxRuleId)) {
+    return next(new CustomError(400, "Invalid tax rule ID"));
+  }
+
+  const taxRule = await TaxRule.findByIdAndDelete(taxRuleId);
+  if (!taxRule) {
+    return next(new CustomError(404, "Tax rule not found"));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Tax rule deleted successfully",
+  });
+});
+
+export { createTaxRule, getAllTaxRules, updateTaxRule, deleteTaxRule };
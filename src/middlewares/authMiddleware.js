@@ -5,37 +5,38 @@ import { Auth } from "../models/auth.model.js";
 import { JWTService } from "../utils/jwtService.js";
 import { accessTokenOptions } from "../configs/constants.js";
 
+// user of a request, from the access token or else the refresh token (which
+// then issues a new access token); null when neither identifies a user
+// ---------------------------------------------------------------------------
+const findRequestUser = async (req, res) => {
+  const accessToken = req?.cookies?.[getEnv("ACCESS_TOKEN_NAME")];
+  const refreshToken = req.cookies?.[getEnv("REFRESH_TOKEN_NAME")];
+
+  const decoded = accessToken
+    ? await JWTService().verifyToken(accessToken, getEnv("ACCESS_TOKEN_SECRET"))
+    : null;
+  const user = decoded?._id ? await Auth.findById(decoded._id) : null;
+  if (user) return user;
+
+  const decodedRefresh = refreshToken
+    ? await JWTService().verifyToken(refreshToken, getEnv("REFRESH_TOKEN_SECRET"))
+    : null;
+  if (!decodedRefresh?._id) return null;
+  const refreshedUser = await Auth.findById(decodedRefresh._id);
+  if (!refreshedUser) return null;
+
+  // create new access token
+  const newAccessToken = await JWTService().accessToken(String(refreshedUser._id));
+  res.cookie(getEnv("ACCESS_TOKEN_NAME"), newAccessToken, accessTokenOptions);
+  return refreshedUser;
+};
+
 // auth middleware
 // ---------------
 const isAuthenticated = asyncHandler(async (req, res, next) => {
   try {
-    const accessToken = req?.cookies?.[getEnv("ACCESS_TOKEN_NAME")];
-    const refreshToken = req.cookies?.[getEnv("REFRESH_TOKEN_NAME")];
-    if (!accessToken && !refreshToken)
-      return next(new CustomError(401, "Please Login First"));
-    let userExist = true;
-    let user;
-    const decoded = await JWTService().verifyToken(
-      accessToken,
-      getEnv("ACCESS_TOKEN_SECRET")
-    );
-    if (!decoded?._id) userExist = false;
-    if (userExist) user = await Auth.findById(decoded?._id);
-    if (!user) userExist = false;
-    if (!userExist) {
-      const decoded = await JWTService().verifyToken(
-        refreshToken,
-        getEnv("REFRESH_TOKEN_SECRET")
-      );
-      if (!decoded) return next(new CustomError(401, "Please Login First"));
-      user = await Auth.findById(decoded?._id);
-      if (!user) return next(new CustomError(401, "Please Login First"));
-      // create new access token
-      const accessToken = await JWTService().accessToken(String(user?._id));
-      res.cookie(getEnv("ACCESS_TOKEN_NAME"), accessToken, accessTokenOptions);
-      req.user = user;
-      return next();
-    }
+    const user = await findRequestUser(req, res);
+    if (!user) return next(new CustomError(401, "Please Login First"));
     req.user = user;
     return next();
   } catch (error) {
@@ -60,4 +61,17 @@ const isAdmin = asyncHandler(async (req, res, next) => {
   next();
 });
 
-export { isAuthenticated, isAdmin };
+// optional auth middleware (guests are allowed through without req.user)
+// ---------------------------------------------------------------------
+const isOptionallyAuthenticated = asyncHandler(async (req, res, next) => {
+  // a token that doesn't identify a user simply means we treat them as a guest
+  try {
+    const user = await findRequestUser(req, res);
+    if (user) req.user = user;
+  } catch (error) {
+    console.log("Error in isOptionallyAuthenticated:", error);
+  }
+  next();
+});
+
+export { isAuthenticated, isAdmin, isOptionallyAuthenticated };
@@ -0,0 +1,28 @@
+import { Settings } from "../models/settings.model.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { buildCurrencyContext, isSupportedCurrency } from "../utils/currency.js";
+import { CustomError } from "../utils/customError.js";
+
+// currency middleware, sets req.currency to the store currency and the
+// display currency asked for with ?currency= or the X-Currency header
+// --------------------------------------------------------------------
+const resolveCurrency = asyncHandler(async (req, res, next) => {
+  const requested = req.query.currency || req.get("X-Currency");
+
+  if (requested && !isSupportedCurrency(requested)) {
+    return next(new CustomError(400, `Unsupported currency ${requested}`));
+  }
+
+  const settings = await Settings.getSettings();
+  const context = buildCurrencyContext(settings, requested);
+  if (!context.rate) {
+    return next(
+      new CustomError(400, `No exchange rate set for ${context.displayCurrency}`)
+    );
+  }
+
+  req.currency = context;
+  next();
+});
+
+export { resolveCurrency };
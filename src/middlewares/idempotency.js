@@ -0,0 +1,90 @@
+import crypto from "crypto";
+import { IdempotencyKey } from "../models/idempotencyKey.model.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { CustomError } from "../utils/customError.js";
+
+// idempotency middleware (use after isAuthenticated)
+// stores the first response for an Idempotency-Key header per user and
+// replays it when the same request is retried with the same key
+// --------------------------------------------------------------------
+const idempotent = asyncHandler(async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return next(new CustomError(400, "Idempotency-Key is too long"));
+  }
+
+  const userId = req?.user?._id;
+  if (!userId) {
+    return next(new CustomError(401, "Please Login First"));
+  }
+
+  const requestHash = crypto
+    .createHash("sha256")
+    .update(JSON.stringify([req.method, req.originalUrl, req.body || {}]))
+    .digest("hex");
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      user: userId,
+      method: req.method,
+      path: req.originalUrl,
+      requestHash,
+    });
+  } catch (error) {
+    if (error?.code !== 11000) throw error;
+
+    // key already used, replay or reject
+    const existing = await IdempotencyKey.findOne({ user: userId, key });
+    if (!existing || existing.requestHash !== requestHash) {
+      return next(
+        new CustomError(422, "Idempotency-Key was already used for a different request")
+      );
+    }
+    if (existing.status === "processing") {
+      return next(
+        new CustomError(409, "A request with this Idempotency-Key is still in progress")
+      );
+    }
+    res.set("Idempotent-Replayed", "true");
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // capture the response, server errors free the key so the retry runs again
+  let captured = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    captured = true;
+    const update =
+      res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+            { _id: record._id },
+            {
+              status: "completed",
+              responseStatus: res.statusCode,
+              responseBody: JSON.parse(JSON.stringify(body ?? null)),
+            }
+          );
+    update.catch((error) =>
+      console.log("Error while storing idempotent response:", error)
+    );
+    return json(body);
+  };
+
+  // connection dropped before any response, free the key as well
+  res.on("close", () => {
+    if (!captured) {
+      IdempotencyKey.deleteOne({ _id: record._id }).catch((error) =>
+        console.log("Error while releasing idempotency key:", error)
+      );
+    }
+  });
+
+  next();
+});
+
+export { idempotent };
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// Cart Item Schema
+const cartItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  },
+  { _id: false, timestamps: true }
+);
+
+// Cart Schema (one per customer, or one per guest cookie)
+const cartSchema = new mongoose.Schema(
+  {
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+    },
+    guestId: {
+      type: String,
+    },
+    items: [cartItemSchema],
+  },
+  { timestamps: true }
+);
+
+// A customer or a guest can only own a single cart
+cartSchema.index(
+  { customer: 1 },
+  { unique: true, partialFilterExpression: { customer: { $exists: true } } }
+);
+cartSchema.index(
+  { guestId: 1 },
+  { unique: true, partialFilterExpression: { guestId: { $exists: true } } }
+);
+
+// automatically remove guest carts untouched for 30 days
+cartSchema.index(
+  { updatedAt: 1 },
+  {
+    expireAfterSeconds: 2592000,
+    partialFilterExpression: { guestId: { $exists: true } },
+  }
+);
+
+export const Cart = mongoose.model("Cart", cartSchema);
@@ -14,6 +14,13 @@ const categorySchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // tax class applied to products of this category
+    taxClass: {
+      type: String,
+      default: "standard",
+      trim: true,
+      lowercase: true,
+    },
     image: {
       public_id: {
         type: String,
@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+
+// Coupon Schema
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      required: true,
+    },
+    // percentage (0 - 100) or fixed amount depending on type
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // upper limit of the discount for percentage coupons
+    maxDiscount: {
+      type: Number,
+      min: 0,
+    },
+    minOrderValue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // total redemptions allowed (empty means unlimited)
+    usageLimit: {
+      type: Number,
+      min: 1,
+    },
+    // redemptions allowed per customer (empty means unlimited)
+    usageLimitPerUser: {
+      type: Number,
+      min: 1,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    startsAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    // restrict the coupon to some categories / products (empty means all)
+    applicableCategories: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    applicableProducts: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export const Coupon = mongoose.model("Coupon", couponSchema);
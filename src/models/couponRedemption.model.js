@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+// coupon redemption schema (how many times a customer redeemed a coupon,
+// one document per coupon and customer so the per user limit is enforced
+// with a conditional $inc)
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+couponRedemptionSchema.index({ coupon: 1, customer: 1 }, { unique: true });
+
+export const CouponRedemption = mongoose.model("CouponRedemption", couponRedemptionSchema);
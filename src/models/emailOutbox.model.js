@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+// sent emails are purged after this, their content (and attachments) is not kept forever
+const SENT_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// email outbox schema (every email waits here until the outbox worker delivered it)
+const emailOutboxSchema = new mongoose.Schema(
+  {
+    // what the email is about, e.g. "reset_password" or "order:paid"
+    category: { type: String, required: true },
+    // carries a secret (e.g. a password reset link): the content is cleared once
+    // delivered, admins can neither read nor resend it
+    sensitive: { type: Boolean, default: false },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    from: { type: String },
+    to: { type: String, required: true },
+    subject: { type: String, required: true },
+    html: { type: String },
+    text: { type: String },
+    attachments: [
+      {
+        filename: String,
+        content: Buffer,
+        contentType: String,
+        _id: false,
+      },
+    ],
+    // pending -> sending -> sent, or back to pending with a later nextAttemptAt,
+    // dead once every attempt failed
+    status: {
+      type: String,
+      enum: ["pending", "sending", "sent", "dead"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, required: true },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date },
+    lastError: { type: String },
+    transport: { type: String },
+    messageId: { type: String },
+    sentAt: { type: Date },
+    resentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+    },
+    resentAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ status: 1, createdAt: -1 });
+emailOutboxSchema.index(
+  { sentAt: 1 },
+  { expireAfterSeconds: SENT_RETENTION_SECONDS, partialFilterExpression: { status: "sent" } }
+);
+
+export const EmailOutbox = mongoose.model("EmailOutbox", emailOutboxSchema);
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// idempotency key schema (first response of a keyed request, replayed on retry)
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      required: true,
+    },
+    method: { type: String, required: true },
+    path: { type: String, required: true },
+    // hash of method, path and body so a key can't be reused for another request
+    requestHash: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    responseStatus: { type: Number },
+    responseBody: { type: mongoose.Schema.Types.Mixed },
+  },
+  { timestamps: true }
+);
+
+// a key is unique per user
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+// automatically remove after 24 hours
+idempotencyKeySchema.index({ createdAt: 1 }, { expireAfterSeconds: 86400 });
+
+export const IdempotencyKey = mongoose.model(
+  "IdempotencyKey",
+  idempotencyKeySchema
+);
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// in-app notification of one user (the watcher pushes new ones over the socket)
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        // customer: their order and its payment
+        "order_placed",
+        "order_status",
+        "payment_paid",
+        "payment_failed",
+        "payment_refunded",
+        // customer: products on their wishlist
+        "wishlist_back_in_stock",
+        "wishlist_price_drop",
+        // admin
+        "new_order",
+        "low_stock",
+      ],
+      required: true,
+    },
+    title: { type: String, required: true },
+    message: { type: String },
+    // ids and values the frontend needs to link the notification (orderId, productId, ...)
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    read: { type: Boolean, default: false },
+    readAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ recipient: 1, read: 1, createdAt: -1 });
+
+export const Notification = mongoose.model("Notification", notificationSchema);
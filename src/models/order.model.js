@@ -15,10 +15,38 @@ const orderItemSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  category: {
+    type: String,
+  },
+  // unit price actually charged
   price: {
     type: Number,
     required: true,
   },
+  // unit price before any promotion
+  listPrice: {
+    type: Number,
+  },
+  // discount per unit (listPrice - price)
+  discount: {
+    type: Number,
+    default: 0,
+  },
+  promotion: {
+    type: String,
+  },
+  taxClass: {
+    type: String,
+  },
+  // tax of the whole line (after its share of the order discount)
+  taxAmount: {
+    type: Number,
+    default: 0,
+  },
+  // unit weight in kg
+  weight: {
+    type: Number,
+  },
   quantity: {
     type: Number,
     required: true,
@@ -30,6 +58,102 @@ const orderItemSchema = new mongoose.Schema({
   },
 });
 
+// Tax Line Schema (one per tax rule applied to the order)
+const taxLineSchema = new mongoose.Schema(
+  {
+    taxRule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaxRule",
+    },
+    name: String,
+    rate: Number,
+    taxClass: String,
+    amount: Number,
+  },
+  { _id: false }
+);
+
+// Status History Schema (one entry per status change)
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: String,
+    to: {
+      type: String,
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+    },
+    role: {
+      type: String,
+      enum: ["client", "admin", "system"],
+    },
+    note: String,
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Shipment Schema (an order can be split into several shipments)
+const shipmentSchema = new mongoose.Schema(
+  {
+    carrier: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    trackingNumber: {
+      type: String,
+      trim: true,
+    },
+    trackingUrl: {
+      type: String,
+      trim: true,
+    },
+    items: [
+      {
+        // _id of the order item
+        orderItem: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+        },
+        name: String,
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        _id: false,
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["shipped", "delivered"],
+      default: "shipped",
+    },
+    shippedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    deliveredAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+    },
+  },
+  { timestamps: true }
+);
+
 // Shipping Address Schema
 const shippingAddressSchema = new mongoose.Schema({
   customer: {
@@ -59,11 +183,70 @@ const orderSchema = new mongoose.Schema(
       required: true,
     },
     items: [orderItemSchema],
+    // sum of item prices before order level discounts
+    subtotal: {
+      type: Number,
+      min: 0,
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    coupon: {
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Coupon",
+      },
+      code: String,
+      discount: Number,
+    },
+    shipping: {
+      zone: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ShippingZone",
+      },
+      zoneName: String,
+      method: mongoose.Schema.Types.ObjectId,
+      methodName: String,
+      type: { type: String },
+      cost: Number,
+      estimatedDelivery: String,
+    },
+    shippingAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    taxLines: [taxLineSchema],
+    // when true the tax is already contained in the item prices
+    pricesIncludeTax: {
+      type: Boolean,
+      default: false,
+    },
+    // cash on delivery fee, included in the total
+    codFee: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // grand total (subtotal - discount + shipping + tax when not included + cod fee)
     totalAmount: {
       type: Number,
       required: true,
       min: 0,
     },
+    // store currency when the order was placed, every amount is in it
+    currency: {
+      type: String,
+      uppercase: true,
+      default: "USD",
+    },
     status: {
       type: String,
       enum: ["pending", "confirmed", "processing", "shipped", "delivered", "cancelled"],
@@ -72,7 +255,7 @@ const orderSchema = new mongoose.Schema(
     shippingAddress: shippingAddressSchema,
     paymentStatus: {
       type: String,
-      enum: ["pending", "paid", "failed", "refunded"],
+      enum: ["pending", "paid", "failed", "partially_refunded", "refunded"],
       default: "pending",
     },
     paymentMethod: {
@@ -80,9 +263,15 @@ const orderSchema = new mongoose.Schema(
       enum: ["online", "cash_on_delivery"],
       default: "online",
     },
+    shipments: [shipmentSchema],
+    statusHistory: [statusHistorySchema],
     cancelledBy: {
       type: String,
-      enum: ["client", "admin"],
+      enum: ["client", "admin", "system"],
+    },
+    // stock of unpaid online orders is only held until this time
+    reservationExpiresAt: {
+      type: Date,
     },
   },
   { timestamps: true }
@@ -92,6 +281,7 @@ const orderSchema = new mongoose.Schema(
 orderSchema.index({ customer: 1, createdAt: -1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ status: 1, paymentStatus: 1, reservationExpiresAt: 1 });
 
 // Generate order number before saving
 orderSchema.pre("save", async function (next) {
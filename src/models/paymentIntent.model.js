@@ -1,5 +1,55 @@
 import mongoose from "mongoose";
 
+// Refund Schema
+const refundSchema = new mongoose.Schema({
+  // stripe refund id, empty for manual (cash on delivery) refunds
+  refundId: String,
+  method: {
+    type: String,
+    enum: ["stripe", "manual"],
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  status: {
+    type: String,
+    default: "succeeded",
+  },
+  reason: String,
+  // refunded order items, empty for amount only refunds
+  items: [
+    {
+      orderItem: mongoose.Schema.Types.ObjectId,
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+      name: String,
+      quantity: Number,
+      _id: false,
+    },
+  ],
+  restocked: {
+    type: Boolean,
+    default: false,
+  },
+  source: {
+    type: String,
+    enum: ["admin", "return", "stripe", "cancellation"],
+    default: "admin",
+  },
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ReturnRequest",
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Auth",
+  },
+}, { timestamps: true });
+
 const paymentIntentSchema = new mongoose.Schema({
   order: {
     type: mongoose.Schema.Types.ObjectId,
@@ -10,15 +60,74 @@ const paymentIntentSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // stripe payment intent behind the checkout session, known once paid
+  stripePaymentIntentId: {
+    type: String,
+  },
   status: {
     type: String,
-    enum: ["pending", "paid", "failed", "refunded"],
+    enum: ["pending", "paid", "failed", "partially_refunded", "refunded"],
     default: "pending",
   },
   totalAmount: {
     type: Number,
     required: true,
   },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: "USD",
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+  },
+  refunds: [refundSchema],
+  // last failed attempt, the customer can still retry until the session expires
+  lastPaymentError: {
+    code: String,
+    message: String,
+    failedAt: Date,
+  },
+  disputes: [
+    {
+      disputeId: String,
+      amount: Number,
+      reason: String,
+      status: String,
+      openedAt: Date,
+      _id: false,
+    },
+  ],
+  // cash on delivery collection, recorded when the courier hands over the order
+  cod: {
+    status: {
+      type: String,
+      enum: ["collected", "discrepancy", "refused"],
+    },
+    expectedAmount: Number,
+    collectedAmount: Number,
+    // collected - expected, negative when short
+    discrepancyAmount: {
+      type: Number,
+      default: 0,
+    },
+    courier: String,
+    note: String,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+    },
+    recordedAt: Date,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+    },
+    resolvedAt: Date,
+    resolutionNote: String,
+  },
 }, { timestamps: true });
 
-export const PaymentIntent = mongoose.model("PaymentIntent", paymentIntentSchema);
\ No newline at end of file
+paymentIntentSchema.index({ stripePaymentIntentId: 1 }, { sparse: true });
+
+export const PaymentIntent = mongoose.model("PaymentIntent", paymentIntentSchema);
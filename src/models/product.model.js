@@ -28,6 +28,12 @@ const productSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // weight in kg, used for weight based shipping rates
+    weight: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     images: [{
       public_id: {
         type: String,
@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+// reconciliation report schema (outcome of one payment reconciliation run)
+const reconciliationReportSchema = new mongoose.Schema(
+  {
+    trigger: {
+      type: String,
+      enum: ["schedule", "admin"],
+      default: "schedule",
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+    },
+    startedAt: { type: Date, required: true },
+    finishedAt: { type: Date },
+    checkedPayments: { type: Number, default: 0 },
+    checkedSessions: { type: Number, default: 0 },
+    // payments whose status was fixed from their checkout session
+    fixed: [
+      {
+        payment: { type: mongoose.Schema.Types.ObjectId, ref: "PaymentIntent" },
+        order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+        sessionId: String,
+        from: String,
+        to: String,
+        _id: false,
+      },
+    ],
+    discrepancies: [
+      {
+        type: {
+          type: String,
+          enum: [
+            "amount_mismatch",
+            "paid_without_payment",
+            "paid_without_order",
+            "session_not_found",
+            "fix_failed",
+          ],
+        },
+        payment: { type: mongoose.Schema.Types.ObjectId, ref: "PaymentIntent" },
+        order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+        sessionId: String,
+        expectedAmount: Number,
+        actualAmount: Number,
+        message: String,
+        _id: false,
+      },
+    ],
+    error: { type: String },
+  },
+  { timestamps: true }
+);
+
+reconciliationReportSchema.index({ createdAt: -1 });
+
+export const ReconciliationReport = mongoose.model(
+  "ReconciliationReport",
+  reconciliationReportSchema
+);
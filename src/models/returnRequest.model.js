@@ -0,0 +1,126 @@
+import mongoose from "mongoose";
+import { Counter } from "./counter.model.js";
+import { imageSchema } from "./global.model.js";
+
+// Return Item Schema
+const returnItemSchema = new mongoose.Schema(
+  {
+    // _id of the order item
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    // unit price charged on the order
+    price: {
+      type: Number,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
+
+// Return Request Schema
+const returnRequestSchema = new mongoose.Schema(
+  {
+    returnNumber: {
+      type: String,
+      unique: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      required: true,
+    },
+    items: [returnItemSchema],
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    comment: {
+      type: String,
+      trim: true,
+    },
+    photos: [imageSchema],
+    status: {
+      type: String,
+      enum: ["requested", "approved", "rejected", "received", "refunding", "refunded"],
+      default: "requested",
+    },
+    adminNote: {
+      type: String,
+      trim: true,
+    },
+    restocked: {
+      type: Boolean,
+      default: false,
+    },
+    refund: {
+      method: { type: String, enum: ["stripe", "manual"] },
+      refundId: String,
+      amount: Number,
+      status: String,
+      refundedAt: Date,
+    },
+    history: [
+      {
+        from: String,
+        to: String,
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Auth",
+        },
+        role: {
+          type: String,
+          enum: ["client", "admin"],
+        },
+        note: String,
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        _id: false,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// Index for better query performance
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ customer: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1 });
+
+// Generate return number before saving
+returnRequestSchema.pre("save", async function (next) {
+  if (this.isNew) {
+    const counter = await Counter.findOneAndUpdate(
+      { name: "returnNumber" },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    this.returnNumber = `RMA-${counter.seq.toString().padStart(6, "0")}`;
+  }
+  next();
+});
+
+export const ReturnRequest = mongoose.model("ReturnRequest", returnRequestSchema);
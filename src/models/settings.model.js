@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { supportedCurrencies } from "../utils/currency.js";
 
 const settingsSchema = new mongoose.Schema(
     {
@@ -23,10 +24,42 @@ const settingsSchema = new mongoose.Schema(
             default: "+1234567890",
             trim: true,
         },
+        // store branding on invoices
+        logoUrl: {
+            type: String,
+            trim: true,
+        },
+        storeAddress: {
+            type: String,
+            trim: true,
+        },
         currency: {
             type: String,
             default: "USD",
-            enum: ["USD", "EUR", "GBP", "JPY", "PKR"],
+            enum: supportedCurrencies,
+        },
+        // display currency rates, units of the currency per unit of the store currency
+        exchangeRates: {
+            type: Map,
+            of: { type: Number, min: 0 },
+            default: {},
+        },
+        // product prices already contain tax (tax is extracted, not added)
+        pricesIncludeTax: {
+            type: Boolean,
+            default: false,
+        },
+        // cash on delivery fee added to every cod order
+        codFee: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        // highest order total accepted as cash on delivery (0 for no limit)
+        maxCodOrderValue: {
+            type: Number,
+            default: 0,
+            min: 0,
         },
         timezone: {
             type: String,
@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+// Shipping Method Schema
+const shippingMethodSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // flat: rate, weight: rate + ratePerKg * weight, free_over: rate unless
+  // the order reaches freeOverAmount
+  type: {
+    type: String,
+    enum: ["flat", "weight", "free_over"],
+    required: true,
+  },
+  rate: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  ratePerKg: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  freeOverAmount: {
+    type: Number,
+    min: 0,
+  },
+  estimatedDelivery: {
+    type: String,
+    trim: true,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+// Shipping Zone Schema
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // empty countries means the zone covers every other destination
+    countries: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    // empty states means the zone covers the whole country
+    states: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    methods: [shippingMethodSchema],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export const ShippingZone = mongoose.model("ShippingZone", shippingZoneSchema);
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+// Tax Rule Schema
+const taxRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    country: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // empty state means the rule covers the whole country
+    state: {
+      type: String,
+      trim: true,
+    },
+    // categories carry a tax class, "standard" is used when none is set
+    taxClass: {
+      type: String,
+      default: "standard",
+      trim: true,
+      lowercase: true,
+    },
+    // percentage (e.g. 17 for 17%)
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Index for better query performance
+taxRuleSchema.index({ country: 1, state: 1, taxClass: 1 });
+
+export const TaxRule = mongoose.model("TaxRule", taxRuleSchema);
@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// webhook event schema (every stripe event once, with the outcome of processing it)
+const webhookEventSchema = new mongoose.Schema(
+  {
+    eventId: { type: String, required: true, unique: true },
+    provider: { type: String, default: "stripe" },
+    type: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: {
+      type: String,
+      enum: ["processing", "processed", "ignored", "failed"],
+      default: "processing",
+    },
+    attempts: { type: Number, default: 0 },
+    error: { type: String },
+    lastAttemptAt: { type: Date },
+    processedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+export const WebhookEvent = mongoose.model("WebhookEvent", webhookEventSchema);
@@ -0,0 +1,31 @@
+import { Router } from "express";
+import { isOptionallyAuthenticated } from "../middlewares/authMiddleware.js";
+import {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeFromCart,
+  clearCart,
+} from "../controllers/cart.controller.js";
+
+const router = Router();
+
+// Cart works for both guests (cookie) and logged in customers
+router.use(isOptionallyAuthenticated);
+
+// Get cart with live prices and stock
+router.get("/", getCart);
+
+// Add product to cart
+router.post("/items", addToCart);
+
+// Update quantity of a cart item
+router.put("/items/:productId", updateCartItem);
+
+// Remove product from cart
+router.delete("/items/:productId", removeFromCart);
+
+// Clear cart
+router.delete("/", clearCart);
+
+export default router;
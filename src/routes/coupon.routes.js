@@ -0,0 +1,24 @@
+import express from "express";
+import {
+  createCoupon,
+  getAllCoupons,
+  getOneCoupon,
+  updateCoupon,
+  deleteCoupon,
+  validateCoupon,
+} from "../controllers/coupon.controller.js";
+import { isAdmin, isAuthenticated } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// Client-side routes
+router.post("/validate", isAuthenticated, validateCoupon);
+
+// Admin-only routes
+router.get("/", isAdmin, getAllCoupons);
+router.post("/", isAdmin, createCoupon);
+router.get("/:id", isAdmin, getOneCoupon);
+router.put("/:id", isAdmin, updateCoupon);
+router.delete("/:id", isAdmin, deleteCoupon);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from "express";
+import {
+  getOutboxMails,
+  getOneOutboxMail,
+  resendOutboxEmail,
+} from "../controllers/email-outbox.controller.js";
+import { isAuthenticated, isAdmin } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// Admin-only routes
+router.use(isAuthenticated, isAdmin);
+
+router.get("/", getOutboxMails);
+router.get("/:id", getOneOutboxMail);
+router.post("/:id/resend", resendOutboxEmail);
+
+export default router;
@@ -0,0 +1,13 @@
+import express from "express";
+import { getSession, completeSession } from "../controllers/fake-payment.controller.js";
+import { isAuthenticated } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// Local checkout page replacement (only mounted with PAYMENT_PROVIDER=fake)
+router.use(isAuthenticated);
+
+router.get("/sessions/:sessionId", getSession);
+router.post("/sessions/:sessionId/complete", completeSession);
+
+export default router;
@@ -11,9 +11,13 @@ import {
   getProductsByCategory,
   getOurProducts
 } from "../controllers/home.controller.js";
+import { resolveCurrency } from "../middlewares/currency.js";
 
 const router = express.Router();
 
+// Prices in the requested display currency
+router.use(resolveCurrency);
+
 // Public routes for home page
 router.get("/search", searchProducts);
 router.get("/categories/top", getTopCategories);
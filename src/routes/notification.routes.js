@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  getMyNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+  deleteReadNotifications,
+} from "../controllers/notification.controller.js";
+import { isAuthenticated } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// All routes require authentication, everyone only sees their own notifications
+router.use(isAuthenticated);
+
+router.get("/", getMyNotifications);
+router.put("/read-all", markAllNotificationsRead);
+router.put("/:id/read", markNotificationRead);
+router.delete("/read", deleteReadNotifications);
+router.delete("/:id", deleteNotification);
+
+export default router;
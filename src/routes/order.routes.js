@@ -1,13 +1,23 @@
 import express from "express";
 import {
   createOrder,
+  getOrderQuote,
   getMyOrders,
   getAllOrders,
   getOneOrder,
   updateOrderStatus,
+  createOrderShipment,
+  markOrderShipmentDelivered,
+  collectCodPayment,
+  refuseCodPayment,
+  getOrderTracking,
+  getOrderInvoice,
+  previewOrderMail,
   cancelOrder,
 } from "../controllers/order.controller.js";
 import { isAuthenticated, isAdmin } from "../middlewares/authMiddleware.js";
+import { idempotent } from "../middlewares/idempotency.js";
+import { resolveCurrency } from "../middlewares/currency.js";
 
 const router = express.Router();
 
@@ -15,13 +25,21 @@ const router = express.Router();
 router.use(isAuthenticated);
 
 // Client-side routes
-router.post("/", createOrder);
+router.post("/", idempotent, createOrder);
+router.post("/quote", resolveCurrency, getOrderQuote);
 router.get("/my-orders", getMyOrders);
 router.get("/:id", getOneOrder);
-router.put("/:id/cancel", cancelOrder);
+router.get("/:id/tracking", getOrderTracking);
+router.get("/:id/invoice", getOrderInvoice);
+router.put("/:id/cancel", idempotent, cancelOrder);
 
 // Admin-only routes
 router.get("/admin/all", isAdmin, getAllOrders);
-router.put("/:id/status", isAdmin, updateOrderStatus);
+router.put("/:id/status", isAdmin, idempotent, updateOrderStatus);
+router.post("/:id/shipments", isAdmin, createOrderShipment);
+router.put("/:id/shipments/:shipmentId/delivered", isAdmin, markOrderShipmentDelivered);
+router.get("/:id/emails/:event/preview", isAdmin, previewOrderMail);
+router.post("/:id/cod/collect", isAdmin, idempotent, collectCodPayment);
+router.post("/:id/cod/refuse", isAdmin, idempotent, refuseCodPayment);
 
 export default router;
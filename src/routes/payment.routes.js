@@ -1,16 +1,31 @@
 import express from "express";
 import { isAdmin, isAuthenticated } from "../middlewares/authMiddleware.js";
+import { idempotent } from "../middlewares/idempotency.js";
 import {
     getAllPayments,
+    exportPayments,
     getPaymentAnalytics,
     updatePaymentStatus,
+    refundPayment,
+    resolveCodPayment,
+    getWebhookEvents,
+    replayWebhook,
+    runPaymentReconciliation,
+    getReconciliationReports,
 } from "../controllers/payment.controller.js";
 
 const app = express.Router();
 
 // Admin routes
 app.get("/", isAuthenticated, isAdmin, getAllPayments);
+app.get("/export", isAuthenticated, isAdmin, exportPayments);
 app.get("/analytics", isAuthenticated, isAdmin, getPaymentAnalytics);
+app.get("/webhook-events", isAuthenticated, isAdmin, getWebhookEvents);
+app.post("/webhook-events/:id/replay", isAuthenticated, isAdmin, replayWebhook);
+app.post("/reconcile", isAuthenticated, isAdmin, runPaymentReconciliation);
+app.get("/reconciliation-reports", isAuthenticated, isAdmin, getReconciliationReports);
 app.put("/:id/status", isAuthenticated, isAdmin, updatePaymentStatus);
+app.post("/:id/refunds", isAuthenticated, isAdmin, idempotent, refundPayment);
+app.put("/:id/cod/resolve", isAuthenticated, isAdmin, resolveCodPayment);
 
 export default app;
@@ -10,13 +10,14 @@ import {
 } from "../controllers/product.controller.js";
 import { isAuthenticated } from "../middlewares/authMiddleware.js";
 import { multipleUpload } from "../middlewares/multer.js";
+import { resolveCurrency } from "../middlewares/currency.js";
 
 const router = express.Router();
 
-// Public routes
-router.get("/", getAllProducts);
-router.get("/category/:categoryName", getProductsByCategory);
-router.get("/:id", getOneProduct);
+// Public routes (prices in the requested display currency)
+router.get("/", resolveCurrency, getAllProducts);
+router.get("/category/:categoryName", resolveCurrency, getProductsByCategory);
+router.get("/:id", resolveCurrency, getOneProduct);
 
 // Protected routes (require authentication)
 router.use(isAuthenticated);
@@ -0,0 +1,33 @@
+import express from "express";
+import {
+  createReturn,
+  getMyReturns,
+  getAllReturns,
+  getOneReturn,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn,
+} from "../controllers/return.controller.js";
+import { isAuthenticated, isAdmin } from "../middlewares/authMiddleware.js";
+import { idempotent } from "../middlewares/idempotency.js";
+import { multipleUpload } from "../middlewares/multer.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(isAuthenticated);
+
+// Client-side routes
+router.post("/", multipleUpload, createReturn);
+router.get("/my-returns", getMyReturns);
+router.get("/:id", getOneReturn);
+
+// Admin-only routes
+router.get("/admin/all", isAdmin, getAllReturns);
+router.put("/:id/approve", isAdmin, approveReturn);
+router.put("/:id/reject", isAdmin, rejectReturn);
+router.put("/:id/receive", isAdmin, receiveReturn);
+router.put("/:id/refund", isAdmin, idempotent, refundReturn);
+
+export default router;
@@ -0,0 +1,27 @@
+import express from "express";
+import {
+  createShippingZone,
+  getAllShippingZones,
+  getOneShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+  getShippingQuote,
+} from "../controllers/shipping.controller.js";
+import {
+  isAdmin,
+  isOptionallyAuthenticated,
+} from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// Public route (logged in customers can quote their stored cart)
+router.post("/quote", isOptionallyAuthenticated, getShippingQuote);
+
+// Admin-only routes
+router.get("/zones", isAdmin, getAllShippingZones);
+router.post("/zones", isAdmin, createShippingZone);
+router.get("/zones/:id", isAdmin, getOneShippingZone);
+router.put("/zones/:id", isAdmin, updateShippingZone);
+router.delete("/zones/:id", isAdmin, deleteShippingZone);
+
+export default router;
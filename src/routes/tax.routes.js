@@ -0,0 +1,20 @@
+import express from "express";
+import {
+  createTaxRule,
+  getAllTaxRules,
+  updateTaxRule,
+  deleteTaxRule,
+} from "../controllers/tax.controller.js";
+import { isAdmin } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// All tax routes require admin authentication
+router.use(isAdmin);
+
+router.get("/rules", getAllTaxRules);
+router.post("/rules", createTaxRule);
+router.put("/rules/:id", updateTaxRule);
+router.delete("/rules/:id", deleteTaxRule);
+
+export default router;
@@ -0,0 +1,168 @@
+import crypto from "crypto";
+import { Cart } from "../models/cart.model.js";
+import { Product } from "../models/product.model.js";
+import { Settings } from "../models/settings.model.js";
+import { getEffectivePrice, roundMoney } from "./pricing.js";
+import {
+  guestCartCookieName,
+  guestCartCookieOptions,
+} from "../configs/constants.js";
+
+// find the cart for the current request (logged in customer or guest cookie)
+// --------------------------------------------------------------------------
+const findCart = async (req) => {
+  const customerId = req?.user?._id;
+  if (customerId) return await Cart.findOne({ customer: customerId });
+
+  const guestId = req?.cookies?.[guestCartCookieName];
+  if (!guestId) return null;
+  return await Cart.findOne({ guestId });
+};
+
+// find or create the cart for the current request
+// -----------------------------------------------
+const findOrCreateCart = async (req, res) => {
+  const cart = await findCart(req);
+  if (cart) return cart;
+
+  const customerId = req?.user?._id;
+  if (customerId) return await Cart.create({ customer: customerId, items: [] });
+
+  // new guest, issue a cart cookie
+  const guestId = crypto.randomUUID();
+  res.cookie(guestCartCookieName, guestId, guestCartCookieOptions);
+  return await Cart.create({ guestId, items: [] });
+};
+
+// build cart response with live product prices and stock
+// -------------------------------------------------------
+const buildCartResponse = async (cart) => {
+  const { currency } = await Settings.getSettings();
+  if (!cart) return { items: [], totalItems: 0, subtotal: 0, currency, hasIssues: false };
+
+  await cart.populate(
+    "items.product",
+    "name price stock images is_flash_sale flash_sale_price flash_sale_start flash_sale_end"
+  );
+
+  let subtotal = 0;
+  let totalItems = 0;
+  let hasIssues = false;
+  const items = cart.items.map((item) => {
+    const product = item.product;
+
+    // product was deleted after being added to the cart
+    if (!product) {
+      hasIssues = true;
+      return {
+        product: null,
+        quantity: item.quantity,
+        available: false,
+        message: "Product is no longer available",
+      };
+    }
+
+    const inStock = product.stock >= item.quantity;
+    if (!inStock) hasIssues = true;
+
+    const pricing = getEffectivePrice(product);
+    const lineTotal = roundMoney(pricing.price * item.quantity, currency);
+    subtotal += lineTotal;
+    totalItems += item.quantity;
+
+    return {
+      product: {
+        _id: product._id,
+        name: product.name,
+        image: product.images[0]?.url || "",
+      },
+      price: pricing.price,
+      listPrice: pricing.listPrice,
+      discount: pricing.discount,
+      promotion: pricing.promotion,
+      quantity: item.quantity,
+      stock: product.stock,
+      lineTotal,
+      available: inStock,
+      message: inStock ? undefined : `Only ${product.stock} left in stock`,
+    };
+  });
+
+  return {
+    _id: cart._id,
+    items,
+    totalItems,
+    subtotal: roundMoney(subtotal, currency),
+    currency,
+    hasIssues,
+  };
+};
+
+// merge guest cart into the customer cart after login / signup
+// ------------------------------------------------------------
+const mergeGuestCart = async (req, res, customerId) => {
+  const guestId = req?.cookies?.[guestCartCookieName];
+  if (!guestId || !customerId) return;
+
+  try {
+    const guestCart = await Cart.findOne({ guestId });
+    if (guestCart?.items?.length) {
+      let customerCart = await Cart.findOne({ customer: customerId });
+      if (!customerCart) {
+        customerCart = new Cart({ customer: customerId, items: [] });
+      }
+
+      const products = await Product.find({
+        _id: { $in: guestCart.items.map((item) => item.product) },
+      }).select("stock");
+      const stockOf = new Map(
+        products.map((product) => [product._id.toString(), product.stock])
+      );
+
+      // like addToCart, merged quantities never go over the stock
+      // (the quantity already in the customer cart is kept as it was)
+      for (const guestItem of guestCart.items) {
+        const stock = stockOf.get(guestItem.product.toString()) || 0;
+        const existingItem = customerCart.items.find(
+          (item) => item.product.toString() === guestItem.product.toString()
+        );
+        if (existingItem) {
+          existingItem.quantity = Math.max(
+            existingItem.quantity,
+            Math.min(existingItem.quantity + guestItem.quantity, stock)
+          );
+        } else if (stock > 0) {
+          customerCart.items.push({
+            product: guestItem.product,
+            quantity: Math.min(guestItem.quantity, stock),
+          });
+        }
+      }
+      await customerCart.save();
+    }
+    await Cart.deleteOne({ guestId });
+  } catch (error) {
+    // a failed merge should never block the login itself
+    console.log("Error while merging guest cart:", error);
+  }
+
+  res.cookie(guestCartCookieName, "", {
+    ...guestCartCookieOptions,
+    maxAge: 0,
+    expires: new Date(0),
+  });
+};
+
+// empty the customer cart (after checking out from it)
+// ----------------------------------------------------
+const emptyCustomerCart = async (customerId) => {
+  await Cart.updateOne({ customer: customerId }, { $set: { items: [] } });
+};
+
+export {
+  findCart,
+  findOrCreateCart,
+  buildCartResponse,
+  mergeGuestCart,
+  emptyCustomerCart,
+};
@@ -0,0 +1,188 @@
+import { isValidObjectId } from "mongoose";
+import { Cart } from "../models/cart.model.js";
+import { Product } from "../models/product.model.js";
+import { Settings } from "../models/settings.model.js";
+import { CustomError } from "./customError.js";
+import { evaluateCoupon } from "./coupon.js";
+import { getEffectivePrice, roundMoney } from "./pricing.js";
+import { selectShippingMethod } from "./shipping.js";
+import { calculateTax } from "./tax.js";
+
+// items to checkout, from the request body or the stored customer cart
+// --------------------------------------------------------------------
+const resolveCheckoutItems = async (customerId, items) => {
+  if (items) return { items, fromCart: false };
+
+  const cart = customerId ? await Cart.findOne({ customer: customerId }) : null;
+  return {
+    items: (cart?.items || []).map((item) => ({
+      id: item.product.toString(),
+      quantity: item.quantity,
+    })),
+    fromCart: true,
+  };
+};
+
+// validate checkout items and price them with the pricing engine
+// (with collectErrors invalid lines are skipped and reported instead of thrown)
+// -----------------------------------------------------------------------------
+const buildOrderItems = async (items, { collectErrors = false, currency } = {}) => {
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    throw new CustomError(400, "Please provide order items");
+  }
+
+  let subtotal = 0;
+  const orderItems = [];
+  const itemErrors = [];
+
+  const lineError = (index, item, statusCode, message) => {
+    if (!collectErrors) throw new CustomError(statusCode, message);
+    itemErrors.push({ field: "items", index, productId: item?.id, message });
+  };
+
+  for (const [index, item] of items.entries()) {
+    if (!item?.id || !isValidObjectId(item.id) || !item.quantity || item.quantity < 1) {
+      lineError(index, item, 400, "Invalid item data");
+      continue;
+    }
+
+    const product = await Product.findById(item.id);
+    if (!product) {
+      lineError(index, item, 404, `Product ${item.id} not found`);
+      continue;
+    }
+
+    if (product.stock < item.quantity) {
+      lineError(index, item, 400, `Insufficient stock for ${product.name}`);
+      continue;
+    }
+
+    const pricing = getEffectivePrice(product);
+    subtotal += pricing.price * item.quantity;
+
+    orderItems.push({
+      product: product._id,
+      name: product.name,
+      category: product.category,
+      price: pricing.price,
+      listPrice: pricing.listPrice,
+      discount: pricing.discount,
+      promotion: pricing.promotion || undefined,
+      weight: product.weight || 0,
+      quantity: item.quantity,
+      image: product.images[0]?.url || "",
+    });
+  }
+
+  return { orderItems, subtotal: roundMoney(subtotal, currency), itemErrors };
+};
+
+// price a whole checkout: items, coupon, shipping, tax and cod fee
+// (createOrder and the quote endpoint both use this so they always agree,
+// with collectErrors every problem is reported instead of the first thrown;
+// amounts are in the store currency)
+// -------------------------------------------------------------------------
+const buildCheckout = async (
+  { customerId, items, shippingAddress, couponCode, shippingMethodId, paymentMethod },
+  { collectErrors = false } = {}
+) => {
+  const settings = await Settings.getSettings();
+  const currency = settings.currency;
+
+  const { orderItems, subtotal, itemErrors } = await buildOrderItems(items, {
+    collectErrors,
+    currency,
+  });
+  const errors = [...itemErrors];
+
+  const attempt = async (field, callback, fallback) => {
+    try {
+      return await callback();
+    } catch (error) {
+      if (!collectErrors || !(error instanceof CustomError)) throw error;
+      errors.push({ field, message: error.message });
+      return fallback;
+    }
+  };
+
+  // Coupon code
+  const { coupon, discount: couponDiscount } = await attempt(
+    "coupon",
+    () => evaluateCoupon(couponCode, customerId, orderItems),
+    { coupon: null, discount: 0 }
+  );
+  const discount = roundMoney(couponDiscount, currency);
+
+  // Shipping and tax both depend on the destination
+  let shipping;
+  let shippingAmount = 0;
+  let tax = { taxAmount: 0, taxLines: [], itemTaxes: [], pricesIncludeTax: false };
+  if (shippingAddress) {
+    ({ shipping, cost: shippingAmount } = await attempt(
+      "shipping",
+      () =>
+        selectShippingMethod(
+          shippingAddress,
+          orderItems,
+          subtotal - discount,
+          shippingMethodId
+        ),
+      { shipping: undefined, cost: 0 }
+    ));
+    shippingAmount = roundMoney(shippingAmount, currency);
+
+    tax = await calculateTax(
+      shippingAddress,
+      orderItems,
+      discount,
+      settings.pricesIncludeTax,
+      currency
+    );
+    orderItems.forEach((item, index) => Object.assign(item, tax.itemTaxes[index]));
+  }
+
+  const orderTotal = roundMoney(
+    subtotal -
+      discount +
+      shippingAmount +
+      (tax.pricesIncludeTax ? 0 : tax.taxAmount),
+    currency
+  );
+
+  // Cash on delivery has its own fee and limit
+  let codFee = 0;
+  if (paymentMethod !== "online") {
+    codFee = roundMoney(settings.codFee || 0, currency);
+    await attempt(
+      "paymentMethod",
+      () => {
+        if (settings.maxCodOrderValue > 0 && orderTotal + codFee > settings.maxCodOrderValue) {
+          throw new CustomError(
+            400,
+            `Cash on delivery is only available for orders up to ${settings.maxCodOrderValue} ${currency}`
+          );
+        }
+      },
+      undefined
+    );
+  }
+  const totalAmount = roundMoney(orderTotal + codFee, currency);
+
+  return {
+    orderItems,
+    subtotal,
+    coupon,
+    discount,
+    shipping,
+    shippingAmount,
+    taxAmount: tax.taxAmount,
+    taxLines: tax.taxLines,
+    pricesIncludeTax: tax.pricesIncludeTax,
+    codFee,
+    totalAmount,
+    currency,
+    errors,
+  };
+};
+
+export { resolveCheckoutItems, buildOrderItems, buildCheckout };
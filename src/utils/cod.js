@@ -0,0 +1,146 @@
+import { PaymentIntent } from "../models/paymentIntent.model.js";
+import { CustomError } from "./customError.js";
+import { cancelOrderWithRestock } from "./inventory.js";
+import { addStatusHistory } from "./orderStatus.js";
+import { notifyOrderEvent } from "./orderEvents.js";
+import { roundMoney } from "./pricing.js";
+import { deliverOrder } from "./shipment.js";
+import { runInTransaction } from "./transaction.js";
+
+// pending cash on delivery payment of an order
+// --------------------------------------------
+const findPendingCodPayment = async (order) => {
+  if (order.paymentMethod !== "cash_on_delivery") {
+    throw new CustomError(400, "Order is not paid cash on delivery");
+  }
+
+  const paymentIntent = await PaymentIntent.findOne({ order: order._id });
+  if (!paymentIntent) {
+    throw new CustomError(404, "Payment not found for this order");
+  }
+  if (paymentIntent.status !== "pending") {
+    throw new CustomError(400, `Cash on delivery payment is already ${paymentIntent.status}`);
+  }
+  return paymentIntent;
+};
+
+// record the cash the courier collected on delivery, the order is delivered
+// with it; any difference with the expected amount is flagged for review
+// --------------------------------------------------------------------------
+const recordCodCollection = async (order, { collectedAmount, courier, note, recordedBy } = {}) => {
+  if (!["shipped", "delivered"].includes(order.status)) {
+    throw new CustomError(400, `Cannot collect cash for an order that is ${order.status}`);
+  }
+
+  const amount = roundMoney(parseFloat(collectedAmount), order.currency);
+  if (!(amount >= 0)) {
+    throw new CustomError(400, "Please provide the collected amount");
+  }
+
+  const paymentIntent = await findPendingCodPayment(order);
+  const discrepancyAmount = roundMoney(amount - paymentIntent.totalAmount, order.currency);
+
+  // claim the payment so two couriers can't record the same order
+  const collected = await PaymentIntent.findOneAndUpdate(
+    { _id: paymentIntent._id, status: "pending" },
+    {
+      $set: {
+        status: "paid",
+        cod: {
+          status: discrepancyAmount === 0 ? "collected" : "discrepancy",
+          expectedAmount: paymentIntent.totalAmount,
+          collectedAmount: amount,
+          discrepancyAmount,
+          courier,
+          note,
+          recordedBy,
+          recordedAt: new Date(),
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!collected) {
+    throw new CustomError(409, "Cash on delivery payment was recorded in the meantime");
+  }
+
+  order.paymentStatus = "paid";
+  if (order.status === "shipped") {
+    await deliverOrder(order, { changedBy: recordedBy, note: note || "Cash collected on delivery" });
+  } else {
+    await order.save();
+  }
+
+  return collected;
+};
+
+// the customer did not pay on delivery: the parcel goes back to the
+// warehouse, so the order is cancelled and its stock given back
+// ------------------------------------------------------------------
+const recordCodRefusal = async (order, { courier, note, recordedBy } = {}) => {
+  if (order.status !== "shipped") {
+    throw new CustomError(400, "Only shipped orders can be refused on delivery");
+  }
+
+  const paymentIntent = await findPendingCodPayment(order);
+
+  order.paymentStatus = "failed";
+  // shipped orders can't be cancelled otherwise, a refused parcel is the exception
+  addStatusHistory(order, "cancelled", {
+    changedBy: recordedBy,
+    role: "admin",
+    note: note || "Refused on delivery",
+  });
+
+  const refused = await runInTransaction(async (session) => {
+    const failedIntent = await PaymentIntent.findOneAndUpdate(
+      { _id: paymentIntent._id, status: "pending" },
+      {
+        $set: {
+          status: "failed",
+          cod: {
+            status: "refused",
+            expectedAmount: paymentIntent.totalAmount,
+            collectedAmount: 0,
+            discrepancyAmount: 0,
+            courier,
+            note,
+            recordedBy,
+            recordedAt: new Date(),
+          },
+        },
+      },
+      { new: true, session }
+    );
+    if (!failedIntent) {
+      throw new CustomError(409, "Cash on delivery payment was recorded in the meantime");
+    }
+    await cancelOrderWithRestock(order, "admin", session);
+    return failedIntent;
+  });
+
+  notifyOrderEvent("cancelled", order, { reason: note || "Refused on delivery" });
+  return refused;
+};
+
+// close a flagged collection once the difference has been sorted out
+// ------------------------------------------------------------------
+const resolveCodDiscrepancy = async (paymentIntent, { note, resolvedBy } = {}) => {
+  if (paymentIntent.cod?.status !== "discrepancy") {
+    throw new CustomError(400, "This payment has no open cash on delivery discrepancy");
+  }
+  if (paymentIntent.cod.resolvedAt) {
+    throw new CustomError(400, "Discrepancy is already resolved");
+  }
+  if (!note) {
+    throw new CustomError(400, "Please provide a resolution note");
+  }
+
+  paymentIntent.cod.resolvedBy = resolvedBy;
+  paymentIntent.cod.resolvedAt = new Date();
+  paymentIntent.cod.resolutionNote = note;
+  await paymentIntent.save();
+  return paymentIntent;
+};
+
+export { recordCodCollection, recordCodRefusal, resolveCodDiscrepancy };
@@ -0,0 +1,147 @@
+import { Coupon } from "../models/coupon.model.js";
+import { CouponRedemption } from "../models/couponRedemption.model.js";
+import { Order } from "../models/order.model.js";
+import { CustomError } from "./customError.js";
+import { roundMoney } from "./pricing.js";
+
+// check if an order item is covered by the coupon restrictions
+// ------------------------------------------------------------
+const isItemEligible = (coupon, item) => {
+  const hasProducts = coupon.applicableProducts?.length > 0;
+  const hasCategories = coupon.applicableCategories?.length > 0;
+  if (!hasProducts && !hasCategories) return true;
+
+  const productMatch =
+    hasProducts &&
+    coupon.applicableProducts.some(
+      (productId) => productId.toString() === item.product.toString()
+    );
+  const categoryMatch =
+    hasCategories &&
+    coupon.applicableCategories.some(
+      (category) => category.toLowerCase() === item.category?.toLowerCase()
+    );
+  return productMatch || categoryMatch;
+};
+
+// validate a coupon code against priced order items
+// (throws a CustomError explaining why the coupon cannot be used)
+// ---------------------------------------------------------------
+const evaluateCoupon = async (code, customerId, orderItems) => {
+  if (!code) return { coupon: null, discount: 0 };
+
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  if (!coupon || !coupon.isActive) {
+    throw new CustomError(400, "Invalid coupon code");
+  }
+
+  const now = new Date();
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new CustomError(400, "Coupon is not active yet");
+  }
+  if (coupon.expiresAt && coupon.expiresAt < now) {
+    throw new CustomError(400, "Coupon has expired");
+  }
+
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw new CustomError(400, "Coupon usage limit reached");
+  }
+
+  // checked again when the order redeems the coupon
+  if (coupon.usageLimitPerUser && customerId) {
+    const timesUsed = await Order.countDocuments({
+      customer: customerId,
+      "coupon.coupon": coupon._id,
+      status: { $ne: "cancelled" },
+    });
+    if (timesUsed >= coupon.usageLimitPerUser) {
+      throw new CustomError(400, "You have already used this coupon");
+    }
+  }
+
+  const subtotal = orderItems.reduce(
+    (sum, item) => sum + item.price * item.quantity,
+    0
+  );
+  if (subtotal < coupon.minOrderValue) {
+    throw new CustomError(
+      400,
+      `Minimum order value for this coupon is ${coupon.minOrderValue}`
+    );
+  }
+
+  const eligibleSubtotal = orderItems
+    .filter((item) => isItemEligible(coupon, item))
+    .reduce((sum, item) => sum + item.price * item.quantity, 0);
+  if (eligibleSubtotal <= 0) {
+    throw new CustomError(400, "Coupon does not apply to any item in your order");
+  }
+
+  let discount =
+    coupon.type === "percentage"
+      ? (eligibleSubtotal * Math.min(coupon.value, 100)) / 100
+      : coupon.value;
+  if (coupon.type === "percentage" && coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  discount = roundMoney(Math.min(discount, eligibleSubtotal));
+
+  return { coupon, discount };
+};
+
+// count a redemption (conditional so neither the global limit nor the
+// limit per customer can be exceeded by parallel orders)
+// --------------------------------------------------------------------
+const redeemCoupon = async (coupon, customerId, session) => {
+  const redeemed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+  if (!redeemed) throw new CustomError(400, "Coupon usage limit reached");
+
+  // a customer at the limit matches nothing, the upsert then collides with
+  // their existing document on the unique index
+  try {
+    await CouponRedemption.findOneAndUpdate(
+      {
+        coupon: coupon._id,
+        customer: customerId,
+        ...(redeemed.usageLimitPerUser
+          ? { count: { $lt: redeemed.usageLimitPerUser } }
+          : {}),
+      },
+      { $inc: { count: 1 } },
+      { upsert: true, new: true, session }
+    );
+  } catch (error) {
+    if (error?.code !== 11000) throw error;
+    throw new CustomError(400, "You have already used this coupon");
+  }
+  return redeemed;
+};
+
+// give back the redemption of a cancelled / rolled back order
+// -----------------------------------------------------------
+const releaseCoupon = async (order, session) => {
+  if (!order?.coupon?.coupon) return;
+  await Coupon.updateOne(
+    { _id: order.coupon.coupon, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+  await CouponRedemption.updateOne(
+    { coupon: order.coupon.coupon, customer: order.customer, count: { $gt: 0 } },
+    { $inc: { count: -1 } },
+    { session }
+  );
+};
+
+export { evaluateCoupon, redeemCoupon, releaseCoupon };
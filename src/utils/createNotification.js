@@ -1,21 +1,14 @@
+import { Auth } from "../models/auth.model.js";
 import { Notification } from "../models/notification.model.js";
 
-export const createNotification = async ({
-  owner,
-  clientId,
-  claimId,
-  invoiceNumber,
-  title,
-  message,
-}) => {
+export const createNotification = async ({ recipient, type, title, message, payload }) => {
   try {
     const notification = await Notification.create({
-      owner,
-      clientId,
-      claimId,
-      invoiceNumber,
+      recipient,
+      type,
       title,
       message,
+      payload,
     });
     return notification;
   } catch (error) {
@@ -23,3 +16,27 @@ export const createNotification = async ({
     throw error;
   }
 };
+
+// the same notification for several users at once
+// ------------------------------------------------
+export const createNotifications = async (recipients, { type, title, message, payload }) => {
+  if (!recipients.length) return [];
+  try {
+    return await Notification.insertMany(
+      recipients.map((recipient) => ({ recipient, type, title, message, payload }))
+    );
+  } catch (error) {
+    console.error("Error creating notifications:", error.message);
+    throw error;
+  }
+};
+
+// every admin gets a copy
+// -----------------------
+export const notifyAdmins = async (notification) => {
+  const admins = await Auth.find({ role: "admin" }).select("_id");
+  return createNotifications(
+    admins.map((admin) => admin._id),
+    notification
+  );
+};
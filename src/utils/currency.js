@@ -0,0 +1,112 @@
+// digits after the decimal point of every supported currency
+// (stripe expects amounts in the smallest unit, JPY has none below the yen)
+// -------------------------------------------------------------------------
+const currencyMinorUnits = Object.freeze({
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  JPY: 0,
+  PKR: 2,
+});
+
+const supportedCurrencies = Object.keys(currencyMinorUnits);
+
+// currencies are stored uppercase, stripe reports them lowercase
+const normalizeCurrency = (currency) => String(currency || "").trim().toUpperCase();
+
+const isSupportedCurrency = (currency) =>
+  supportedCurrencies.includes(normalizeCurrency(currency));
+
+// unknown currencies are treated like the cent based ones
+const getMinorUnits = (currency) => currencyMinorUnits[normalizeCurrency(currency)] ?? 2;
+
+// amount in the smallest unit of a currency (cents, or yen for JPY)
+// -----------------------------------------------------------------
+const toMinorUnits = (amount, currency) =>
+  Math.round((Number(amount) || 0) * 10 ** getMinorUnits(currency));
+
+const fromMinorUnits = (amount, currency) =>
+  (Number(amount) || 0) / 10 ** getMinorUnits(currency);
+
+// exchange rate from the store currency, rates are stored as units of the
+// currency per unit of the store currency (null when no rate is known)
+// -----------------------------------------------------------------------
+const getExchangeRate = (settings, currency) => {
+  currency = normalizeCurrency(currency);
+  if (currency === settings.currency) return 1;
+  const rate = settings.exchangeRates?.get(currency);
+  return rate > 0 ? rate : null;
+};
+
+// store currency amount in the display currency of a currency context
+// --------------------------------------------------------------------
+const convertAmount = (amount, { displayCurrency, rate }) => {
+  const factor = 10 ** getMinorUnits(displayCurrency);
+  return Math.round((Number(amount) || 0) * rate * factor) / factor;
+};
+
+// currency context of a request: prices are kept in the store currency and
+// optionally shown in a display currency
+// ------------------------------------------------------------------------
+const buildCurrencyContext = (settings, displayCurrency) => {
+  const currency = settings.currency;
+  const display = displayCurrency ? normalizeCurrency(displayCurrency) : currency;
+  return {
+    currency,
+    displayCurrency: display,
+    rate: getExchangeRate(settings, display),
+  };
+};
+
+// currencies documents can be converted from: the store currency and every
+// currency with an exchange rate
+// -------------------------------------------------------------------------
+const getConvertibleCurrencies = (settings) =>
+  supportedCurrencies.filter((currency) => getExchangeRate(settings, currency));
+
+// documents without currency are in USD, the only currency before multi
+// currency support
+const documentCurrency = { $ifNull: ["$currency", "USD"] };
+
+// mongo filters of the documents that can / can't be converted to the store
+// currency (documents in a currency without rate are left out of the sums
+// and reported as a currency mismatch instead of being added as they are)
+// ---------------------------------------------------------------------------
+const convertibleCurrencyFilter = (settings) => ({
+  $expr: { $in: [documentCurrency, getConvertibleCurrencies(settings)] },
+});
+
+const currencyMismatchFilter = (settings) => ({
+  $expr: { $not: [{ $in: [documentCurrency, getConvertibleCurrencies(settings)] }] },
+});
+
+// mongo expression converting a money field of documents in any currency
+// to the store currency (null for a currency without exchange rate, match
+// convertibleCurrencyFilter first)
+// -----------------------------------------------------------------------
+const toStoreCurrencyExpression = (field, settings) => {
+  const branches = getConvertibleCurrencies(settings).map((currency) => {
+    const rate = getExchangeRate(settings, currency);
+    return {
+      case: { $eq: [documentCurrency, currency] },
+      then: rate === 1 ? field : { $divide: [field, rate] },
+    };
+  });
+  return { $switch: { branches, default: null } };
+};
+
+export {
+  currencyMinorUnits,
+  supportedCurrencies,
+  normalizeCurrency,
+  isSupportedCurrency,
+  getMinorUnits,
+  toMinorUnits,
+  fromMinorUnits,
+  getExchangeRate,
+  buildCurrencyContext,
+  convertAmount,
+  convertibleCurrencyFilter,
+  currencyMismatchFilter,
+  toStoreCurrencyExpression,
+};
@@ -0,0 +1,173 @@
+import { getEnv } from "../configs/config.js";
+import { EmailOutbox } from "../models/emailOutbox.model.js";
+import { CustomError } from "./customError.js";
+import { getMailTransport, sendMail } from "./mailer.js";
+
+// a worker that died mid send leaves its mail "sending", it is retried after this
+const STALE_SENDING_MS = 10 * 60 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+let isProcessing = false;
+
+// delay before the next attempt: base, 2 x base, 4 x base, ... up to an hour
+// --------------------------------------------------------------------------
+const getRetryDelay = (attempts) =>
+  Math.min(
+    Number(getEnv("EMAIL_OUTBOX_BACKOFF_SECONDS")) * 1000 * 2 ** Math.max(attempts - 1, 0),
+    MAX_BACKOFF_MS
+  );
+
+// put an email in the outbox (pass the session to enqueue it with the
+// request's own writes), the worker delivers it
+// -------------------------------------------------------------------
+const enqueueMail = async (
+  { to, subject, html, text, attachments, from },
+  { category, order, sensitive = false, session } = {}
+) => {
+  if (!to || !subject || !(html || text)) {
+    throw new Error("Please Provide To, Subject and Text");
+  }
+
+  const [mail] = await EmailOutbox.create(
+    [
+      {
+        category,
+        order,
+        sensitive,
+        from,
+        to,
+        subject,
+        html,
+        text,
+        attachments,
+        maxAttempts: Number(getEnv("EMAIL_OUTBOX_MAX_ATTEMPTS")),
+      },
+    ],
+    session ? { session } : {}
+  );
+
+  // don't wait for the next tick of the worker (a session commits later, the tick picks it up)
+  if (!session) setImmediate(runOutbox);
+  return mail;
+};
+
+// one delivery attempt of a claimed mail
+// --------------------------------------
+const deliverOutboxMail = async (mail) => {
+  const result = await sendMail({
+    from: mail.from,
+    to: mail.to,
+    subject: mail.subject,
+    html: mail.html,
+    text: mail.text,
+    attachments: mail.attachments?.map((file) => ({
+      filename: file.filename,
+      content: file.content,
+      contentType: file.contentType,
+    })),
+  });
+
+  mail.lockedAt = undefined;
+  mail.transport = getMailTransport().name;
+  if (result.success) {
+    mail.status = "sent";
+    mail.sentAt = new Date();
+    mail.messageId = result.messageId;
+    mail.lastError = undefined;
+    // the secret is out of the database as soon as it reached the user
+    if (mail.sensitive) {
+      mail.html = undefined;
+      mail.text = undefined;
+      mail.attachments = [];
+    }
+  } else if (mail.attempts >= mail.maxAttempts) {
+    mail.status = "dead";
+    mail.lastError = result.error;
+  } else {
+    mail.status = "pending";
+    mail.nextAttemptAt = new Date(Date.now() + getRetryDelay(mail.attempts));
+    mail.lastError = result.error;
+  }
+  await mail.save();
+  return mail;
+};
+
+// deliver every due mail (each one is claimed first, so workers never send twice)
+// -------------------------------------------------------------------------------
+const processOutbox = async () => {
+  let delivered = 0;
+  let failed = 0;
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const now = new Date();
+    const mail = await EmailOutbox.findOneAndUpdate(
+      {
+        $or: [
+          { status: "pending", nextAttemptAt: { $lte: now } },
+          { status: "sending", lockedAt: { $lte: new Date(now.getTime() - STALE_SENDING_MS) } },
+        ],
+      },
+      { $set: { status: "sending", lockedAt: now }, $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+    if (!mail) break;
+
+    const result = await deliverOutboxMail(mail);
+    if (result.status === "sent") delivered++;
+    else failed++;
+  }
+
+  if (failed) console.log(`Email outbox: ${delivered} sent, ${failed} failed`);
+  return { delivered, failed };
+};
+
+const runOutbox = async () => {
+  if (isProcessing) return;
+  isProcessing = true;
+  try {
+    await processOutbox();
+  } catch (error) {
+    console.error("Email outbox worker error:", error);
+  } finally {
+    isProcessing = false;
+  }
+};
+
+// send a dead (or already sent) mail again, with a fresh set of attempts
+// ----------------------------------------------------------------------
+const resendOutboxMail = async (mail, { resentBy } = {}) => {
+  if (mail.sensitive) {
+    throw new CustomError(
+      400,
+      "This email carries a secret and can't be resent, the user has to request a new one"
+    );
+  }
+  if (!["dead", "sent"].includes(mail.status)) {
+    throw new CustomError(400, `Only dead or sent emails can be resent, this one is ${mail.status}`);
+  }
+
+  mail.status = "pending";
+  mail.attempts = 0;
+  mail.nextAttemptAt = new Date();
+  mail.resentBy = resentBy;
+  mail.resentAt = new Date();
+  await mail.save();
+
+  setImmediate(runOutbox);
+  return mail;
+};
+
+// run the worker in the background
+// --------------------------------
+const initEmailOutboxWorker = () => {
+  const interval = Number(getEnv("EMAIL_OUTBOX_INTERVAL_SECONDS")) * 1000;
+
+  const timer = setInterval(runOutbox, interval);
+  timer.unref();
+
+  console.log("Email outbox worker initialized");
+  return timer;
+};
+
+export { enqueueMail, processOutbox, resendOutboxMail, initEmailOutboxWorker };
@@ -0,0 +1,313 @@
+import crypto from "crypto";
+import { getEnv } from "../configs/config.js";
+import { fromMinorUnits, toMinorUnits } from "./currency.js";
+
+// Local fake payment gateway for development and tests. It keeps checkout
+// sessions in memory, answers like the stripe helpers in utils/stripe.js and
+// delivers stripe shaped, signed webhook events to our own webhook endpoint,
+// so the whole payment flow runs without network access or stripe keys.
+
+// same default as stripe: older signatures are rejected, so replays are caught
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+const sessions = new Map();
+const refunds = new Map();
+
+const randomId = (prefix) => `${prefix}_fake_${crypto.randomBytes(12).toString("hex")}`;
+
+// fields of a checkout session the app works with (same as utils/stripe.js)
+const formatSession = (session) => ({
+  id: session.id,
+  payment_status: session.payment_status,
+  status: session.status,
+  customer_email: session.customer_email,
+  amount_total: session.amount_total,
+  currency: session.currency,
+  payment_intent: session.payment_intent,
+  metadata: session.metadata,
+  created: session.created,
+});
+
+const signPayload = (payload, timestamp) =>
+  crypto
+    .createHmac("sha256", getEnv("FAKE_PAYMENT_WEBHOOK_SECRET"))
+    .update(`${timestamp}.${payload}`)
+    .digest("hex");
+
+// deliver a stripe shaped event to our webhook endpoint, like stripe would
+// ------------------------------------------------------------------------
+const sendFakeEvent = async (type, object) => {
+  const event = {
+    id: randomId("evt"),
+    object: "event",
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: { object },
+  };
+  const payload = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await fetch(`http://localhost:${getEnv("PORT")}/api/stripeWebhook`, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "stripe-signature": `t=${timestamp},v1=${signPayload(payload, timestamp)}`,
+      },
+      body: payload,
+    });
+    return { success: response.ok, eventId: event.id, status: response.status };
+  } catch (error) {
+    console.error("Fake payment webhook error:", error);
+    return { success: false, eventId: event.id, error: error.message };
+  }
+};
+
+const findSession = (sessionId) => {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    return { success: false, error: `No such checkout.session: '${sessionId}'` };
+  }
+  return { success: true, session };
+};
+
+// payment provider interface
+// --------------------------
+
+const createCheckoutSession = async (items, successUrl, cancelUrl, metadata = {}, options = {}) => {
+  const currency = (options.currency || "USD").toLowerCase();
+  const toMinor = (amount) => toMinorUnits(amount, currency);
+  const itemsTotal = items.reduce(
+    (sum, item) => sum + toMinor(item.price) * item.quantity,
+    0
+  );
+  const amountTotal =
+    itemsTotal -
+    (options.discount?.amount > 0 ? toMinor(options.discount.amount) : 0) +
+    (options.shipping?.amount > 0 ? toMinor(options.shipping.amount) : 0) +
+    (options.tax?.amount > 0 ? toMinor(options.tax.amount) : 0);
+
+  const session = {
+    id: randomId("cs"),
+    status: "open",
+    payment_status: "unpaid",
+    amount_total: Math.max(amountTotal, 0),
+    currency,
+    payment_intent: null,
+    metadata: { ...metadata },
+    created: Math.floor(Date.now() / 1000),
+    expires_at: options.expiresAt
+      ? Math.floor(new Date(options.expiresAt).getTime() / 1000)
+      : undefined,
+    success_url: successUrl,
+    cancel_url: cancelUrl,
+  };
+  sessions.set(session.id, session);
+
+  // there is no hosted page, the customer lands on the success page and the
+  // payment is simulated through /api/fake-payments
+  const sessionUrl = new URL(successUrl);
+  sessionUrl.searchParams.set("fake_session_id", session.id);
+
+  return {
+    success: true,
+    sessionId: session.id,
+    sessionUrl: sessionUrl.toString(),
+    status: "created",
+  };
+};
+
+const retrieveCheckoutSession = async (sessionId) => {
+  const result = findSession(sessionId);
+  if (!result.success) return result;
+  return { success: true, session: formatSession(result.session) };
+};
+
+const listCheckoutSessions = async (createdAfter, max = 1000) => {
+  const createdAfterSeconds = Math.floor(createdAfter.getTime() / 1000);
+  return {
+    success: true,
+    sessions: [...sessions.values()]
+      .filter((session) => session.created >= createdAfterSeconds)
+      .sort((a, b) => b.created - a.created)
+      .slice(0, max)
+      .map(formatSession),
+  };
+};
+
+const expireCheckoutSession = async (sessionId) => {
+  const result = findSession(sessionId);
+  if (!result.success) return result;
+
+  const session = result.session;
+  if (session.status !== "open") {
+    return {
+      success: false,
+      error: `Only open checkout sessions can be expired, this one is ${session.status}`,
+    };
+  }
+  session.status = "expired";
+  sendFakeEvent("checkout.session.expired", formatSession(session));
+
+  return { success: true, status: session.status };
+};
+
+const createRefund = async (sessionId, amount, metadata = {}) => {
+  const result = findSession(sessionId);
+  if (!result.success) return result;
+
+  const session = result.session;
+  if (!session.payment_intent || session.payment_status !== "paid") {
+    return { success: false, error: "No payment found for this checkout session" };
+  }
+
+  const refunded = [...refunds.values()]
+    .filter((refund) => refund.payment_intent === session.payment_intent)
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  const refundAmount = amount
+    ? toMinorUnits(amount, session.currency)
+    : session.amount_total - refunded;
+  if (refundAmount <= 0 || refunded + refundAmount > session.amount_total) {
+    return {
+      success: false,
+      error: `Refund amount is greater than the unrefunded amount of the charge`,
+    };
+  }
+
+  const refund = {
+    id: randomId("re"),
+    amount: refundAmount,
+    currency: session.currency,
+    status: "succeeded",
+    reason: "requested_by_customer",
+    payment_intent: session.payment_intent,
+    metadata: { ...metadata },
+  };
+  refunds.set(refund.id, refund);
+
+  sendFakeEvent("charge.refunded", {
+    id: randomId("ch"),
+    object: "charge",
+    payment_intent: session.payment_intent,
+    amount: session.amount_total,
+    amount_refunded: refunded + refundAmount,
+    refunded: refunded + refundAmount >= session.amount_total,
+  });
+
+  return {
+    success: true,
+    refundId: refund.id,
+    amount: fromMinorUnits(refund.amount, refund.currency),
+    status: refund.status,
+    paymentIntentId: session.payment_intent,
+  };
+};
+
+const findCheckoutSessionByPaymentIntent = async (paymentIntentId) => {
+  const session = [...sessions.values()].find(
+    (entry) => entry.payment_intent === paymentIntentId
+  );
+  return { success: true, session: session ? formatSession(session) : null };
+};
+
+const listRefunds = async (paymentIntentId) => ({
+  success: true,
+  refunds: [...refunds.values()]
+    .filter((refund) => refund.payment_intent === paymentIntentId)
+    .map((refund) => ({
+      refundId: refund.id,
+      amount: fromMinorUnits(refund.amount, refund.currency),
+      status: refund.status,
+      reason: refund.reason,
+      metadata: refund.metadata,
+    })),
+});
+
+const constructWebhookEvent = (payload, signature) => {
+  const parts = Object.fromEntries(
+    String(signature || "")
+      .split(",")
+      .map((part) => part.split("="))
+  );
+  const expected = Buffer.from(signPayload(payload.toString(), parts.t));
+  const received = Buffer.from(parts.v1 || "");
+  if (
+    !parts.t ||
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    throw new Error("No signatures found matching the expected signature for payload");
+  }
+  if (Math.abs(Math.floor(Date.now() / 1000) - Number(parts.t)) > WEBHOOK_TOLERANCE_SECONDS) {
+    throw new Error("Timestamp outside the tolerance zone");
+  }
+  return JSON.parse(payload.toString());
+};
+
+// simulate what happens on the hosted checkout page
+// (outcome: paid, failed, async_paid, async_failed or expired)
+// -------------------------------------------------------------
+const simulateCheckout = async (sessionId, outcome) => {
+  const result = findSession(sessionId);
+  if (!result.success) return result;
+
+  const session = result.session;
+  if (session.status !== "open") {
+    return { success: false, error: `Checkout session is already ${session.status}` };
+  }
+
+  if (outcome === "expired") {
+    return expireCheckoutSession(sessionId);
+  }
+
+  session.payment_intent = session.payment_intent || randomId("pi");
+
+  // a declined card, the session stays open for another try
+  if (outcome === "failed") {
+    const delivery = await sendFakeEvent("payment_intent.payment_failed", {
+      id: session.payment_intent,
+      object: "payment_intent",
+      status: "requires_payment_method",
+      last_payment_error: { code: "card_declined", message: "Your card was declined." },
+    });
+    return { success: true, session: formatSession(session), delivery };
+  }
+
+  const isAsync = outcome === "async_paid" || outcome === "async_failed";
+  session.status = "complete";
+  session.payment_status = isAsync ? "unpaid" : "paid";
+  const deliveries = [
+    await sendFakeEvent("checkout.session.completed", formatSession(session)),
+  ];
+
+  // delayed payment methods report their result afterwards
+  if (isAsync) {
+    const paid = outcome === "async_paid";
+    session.payment_status = paid ? "paid" : "unpaid";
+    deliveries.push(
+      await sendFakeEvent(
+        paid
+          ? "checkout.session.async_payment_succeeded"
+          : "checkout.session.async_payment_failed",
+        formatSession(session)
+      )
+    );
+  }
+
+  return { success: true, session: formatSession(session), deliveries };
+};
+
+// the fake gateway behind the payment provider interface
+const fakePaymentProvider = Object.freeze({
+  name: "fake",
+  createCheckoutSession,
+  retrieveCheckoutSession,
+  listCheckoutSessions,
+  expireCheckoutSession,
+  createRefund,
+  findCheckoutSessionByPaymentIntent,
+  listRefunds,
+  constructWebhookEvent,
+});
+
+export { fakePaymentProvider, simulateCheckout, retrieveCheckoutSession as getFakeSession };
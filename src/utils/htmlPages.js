@@ -286,11 +286,12 @@ const mailTemplateForNewUserCredentials = (data) => {
   `;
 };
 
-const receiptMailTemplate = (data) => {
-  const { name, email, amount, currency, status, transactionId, createdAt } =
-    data;
+// order and payment emails
+// (every template gets the data built by utils/orderMail.js: name, orderNumber,
+// total, paymentMethod, items, siteName, logoUrl, orderUrl, ...)
 
-  const formattedDate = new Date(createdAt).toLocaleString("en-GB", {
+const formatMailDate = (date) =>
+  new Date(date).toLocaleString("en-GB", {
     day: "2-digit",
     month: "short",
     year: "numeric",
@@ -298,13 +299,16 @@ const receiptMailTemplate = (data) => {
     minute: "2-digit",
   });
 
+const orderMailLayout = (data, { title, color, message, rows = [], extra = "" }) => {
+  const { name, siteName, logoUrl, orderUrl } = data;
+
   return `
   <!DOCTYPE html>
 <html lang="en">
   <head>
     <meta charset="UTF-8" />
     <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-    <title>Payment Successful - Global Learning Bridge</title>
+    <title>${title} - ${siteName}</title>
   </head>
   <body
     style="
@@ -323,14 +327,9 @@ const receiptMailTemplate = (data) => {
       <!-- Header -->
       <tr style="background-color: #ffffff; color: #000;">
         <td style="text-align: center; padding: 25px;">
-          <img
-            src=${getEnv("CHARITY_LOGO")}
-            alt="Global Learning Bridge Logo"
-            width="220"
-            style="margin-bottom: 10px;"
-          />
-          <h2 style="margin: 0; font-size: 22px; color: #28a745;">
-            Payment Successful
+          ${logoUrl ? `<img src="${logoUrl}" alt="${siteName}" width="180" style="margin-bottom: 10px;" />` : ""}
+          <h2 style="margin: 0; font-size: 22px; color: ${color};">
+            ${title}
           </h2>
         </td>
       </tr>
@@ -339,13 +338,10 @@ const receiptMailTemplate = (data) => {
       <tr>
         <td style="padding: 30px;">
           <p style="font-size: 16px; color: #333;">
-            Dear <strong>${name || "Donor"}</strong>,
+            Dear <strong>${name || "Customer"}</strong>,
           </p>
           <p style="font-size: 15px; color: #555; line-height: 1.6;">
-            We are pleased to inform you that your recent payment to
-            <strong>Global Learning Bridge</strong> has been successfully processed.
-            Thank you for your generosity and continued support for our mission
-            to make education accessible to all.
+            ${message}
           </p>
 
           <table
@@ -354,47 +350,24 @@ const receiptMailTemplate = (data) => {
             cellspacing="0"
             style="border: 1px solid #e5e5e5; border-radius: 6px; margin: 20px 0;"
           >
-            <tr style="background-color: #f9fafb;">
-              <td><strong>Donor Name:</strong></td>
-              <td>${name || "Donor"}</td>
-            </tr>
-            <tr>
-              <td><strong>Email:</strong></td>
-              <td>${email}</td>
-            </tr>
-            <tr style="background-color: #f9fafb;">
-              <td><strong>Amount:</strong></td>
-              <td>${amount} ${currency}</td>
-            </tr>
-            <tr>
-              <td><strong>Status:</strong></td>
-              <td style="color: #28a745; font-weight: bold;">${status}</td>
-            </tr>
-            <tr style="background-color: #f9fafb;">
-              <td><strong>Transaction ID:</strong></td>
-              <td>${transactionId}</td>
-            </tr>
-            <tr>
-              <td><strong>Date:</strong></td>
-              <td>${formattedDate}</td>
-            </tr>
+            ${rows
+              .map(
+                ([label, value], index) => `
+            <tr${index % 2 === 0 ? ' style="background-color: #f9fafb;"' : ""}>
+              <td><strong>${label}:</strong></td>
+              <td>${value}</td>
+            </tr>`
+              )
+              .join("")}
           </table>
 
-          <p style="font-size: 14px; color: #444; line-height: 1.6;">
-            <strong>Global Learning Bridge</strong> is a registered
-            <strong>501(c)(3) non-profit organization</strong>. Your
-            contribution is tax-deductible to the extent allowed by law. No
-            goods or services were provided in exchange for this donation.
-          </p>
+          ${extra}
 
-          <p style="font-size: 15px; color: #555; line-height: 1.6;">
-            Thank you once again for your support — together we’re building a
-            brighter educational future.
-          </p>
+          ${orderUrl ? `<p style="font-size: 15px; color: #555;"><a href="${orderUrl}" style="color: #004aad;">View your order</a></p>` : ""}
 
           <p style="font-size: 15px; color: #333;">
-            Warm regards,<br />
-            <strong>Global Learning Bridge Team</strong><br />
+            Thank you for shopping with us,<br />
+            <strong>${siteName}</strong>
           </p>
         </td>
       </tr>
@@ -404,8 +377,7 @@ const receiptMailTemplate = (data) => {
         <td
           style="background-color: #f1f1f1; text-align: center; padding: 15px; font-size: 12px; color: #777;"
         >
-          © 2025 Global Learning Bridge. All rights reserved.<br />
-          EIN: 12-3456789
+          © ${new Date().getFullYear()} ${siteName}. All rights reserved.
         </td>
       </tr>
     </table>
@@ -414,136 +386,139 @@ const receiptMailTemplate = (data) => {
 `;
 };
 
-const failedPaymentTemplate = (data) => {
-  const { name, email, amount, currency, status, transactionId, createdAt } =
-    data;
-
-  const formattedDate = new Date(createdAt).toLocaleString("en-GB", {
-    day: "2-digit",
-    month: "short",
-    year: "numeric",
-    hour: "2-digit",
-    minute: "2-digit",
+const orderItemsTable = (items = []) => `
+          <table width="100%" cellpadding="6" cellspacing="0" style="font-size: 14px; color: #444; margin-bottom: 20px;">
+            ${items
+              .map(
+                (item) => `
+            <tr>
+              <td>${item.name}</td>
+              <td style="text-align: center;">x ${item.quantity}</td>
+              <td style="text-align: right;">${item.total}</td>
+            </tr>`
+              )
+              .join("")}
+          </table>`;
+
+const paymentMethodLabel = (paymentMethod) =>
+  paymentMethod === "online" ? "Online" : "Cash on delivery";
+
+// order placed, waiting for payment or confirmation
+const orderPlacedMailTemplate = (data) =>
+  orderMailLayout(data, {
+    title: "Order Received",
+    color: "#0a567c",
+    message:
+      data.paymentMethod === "online"
+        ? `We received your order <strong>${data.orderNumber}</strong>. It will be confirmed as soon as your payment goes through.`
+        : `We received your order <strong>${data.orderNumber}</strong>. You will pay in cash when it is delivered.`,
+    rows: [
+      ["Order", data.orderNumber],
+      ["Date", formatMailDate(data.createdAt)],
+      ["Total", data.total],
+      ["Payment", paymentMethodLabel(data.paymentMethod)],
+    ],
+    extra: orderItemsTable(data.items),
   });
 
-  return `
-  <!DOCTYPE html>
-<html lang="en">
-  <head>
-    <meta charset="UTF-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-    <title>Payment Failed - Global Learning Bridge</title>
-  </head>
-  <body
-    style="
-      font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-      background-color: #f7f8fa;
-      margin: 0;
-      padding: 0;
-    "
-  >
-    <table
-      width="100%"
-      cellpadding="0"
-      cellspacing="0"
-      style="max-width: 600px; margin: 40px auto; background: #ffffff; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.05); overflow: hidden;"
-    >
-      <!-- Header -->
-      <tr style="background-color: #ffffff; color: #000;">
-        <td style="text-align: center; padding: 25px;">
-          <img
-            src=${getEnv("CHARITY_LOGO")}
-            alt="Global Learning Bridge Logo"
-            width="220"
-            style="margin-bottom: 10px;"
-          />
-          <h2 style="margin: 0; font-size: 22px; color: #d93025;">
-            Payment Failed
-          </h2>
-        </td>
-      </tr>
+// order confirmation, the invoice is attached as pdf
+const orderConfirmationMailTemplate = (data) =>
+  orderMailLayout(data, {
+    title: "Order Confirmed",
+    color: "#0a567c",
+    message: `Your order <strong>${data.orderNumber}</strong> has been confirmed and is being prepared. You will find the invoice attached to this email.`,
+    rows: [
+      ["Order", data.orderNumber],
+      ["Total", data.total],
+      ["Payment", data.paymentMethod === "online" ? "Paid online" : "Cash on delivery"],
+    ],
+  });
 
-      <!-- Body -->
-      <tr>
-        <td style="padding: 30px;">
-          <p style="font-size: 16px; color: #333;">
-            Dear <strong>${name || "Donor"}</strong>,
-          </p>
-          <p style="font-size: 15px; color: #555; line-height: 1.6;">
-            Unfortunately, your recent payment to
-            <strong>Global Learning Bridge</strong> could not be processed.
-            Please review the details below and try again. If the issue persists,
-            contact our support team for assistance.
-          </p>
+// payment received, the receipt is attached as pdf
+const receiptMailTemplate = (data) =>
+  orderMailLayout(data, {
+    title: "Payment Successful",
+    color: "#28a745",
+    message: `We are pleased to inform you that the payment of your order <strong>${data.orderNumber}</strong> has been successfully processed. Your receipt is attached to this email.`,
+    rows: [
+      ["Order", data.orderNumber],
+      ["Amount", data.total],
+      ["Status", `<span style="color: #28a745; font-weight: bold;">Paid</span>`],
+      ["Transaction ID", data.transactionId || "-"],
+      ["Date", formatMailDate(data.paidAt || new Date())],
+    ],
+  });
 
-          <table
-            width="100%"
-            cellpadding="8"
-            cellspacing="0"
-            style="border: 1px solid #e5e5e5; border-radius: 6px; margin: 20px 0;"
-          >
-            <tr style="background-color: #f9fafb;">
-              <td><strong>Donor Name:</strong></td>
-              <td>${name || "Donor"}</td>
-            </tr>
-            <tr>
-              <td><strong>Email:</strong></td>
-              <td>${email}</td>
-            </tr>
-            <tr style="background-color: #f9fafb;">
-              <td><strong>Amount:</strong></td>
-              <td>${amount} ${currency}</td>
-            </tr>
-            <tr>
-              <td><strong>Status:</strong></td>
-              <td style="color: #d93025; font-weight: bold;">${status}</td>
-            </tr>
-            <tr style="background-color: #f9fafb;">
-              <td><strong>Transaction ID:</strong></td>
-              <td>${transactionId}</td>
-            </tr>
-            <tr>
-              <td><strong>Date:</strong></td>
-              <td>${formattedDate}</td>
-            </tr>
-          </table>
+// payment failed or not made in time, the order is cancelled
+const failedPaymentTemplate = (data) =>
+  orderMailLayout(data, {
+    title: "Payment Failed",
+    color: "#d93025",
+    message: `Unfortunately, the payment of your order <strong>${data.orderNumber}</strong> could not be processed${data.reason ? ` (${data.reason})` : ""}, so the order has been cancelled. You are welcome to place it again, possibly with a different payment method.`,
+    rows: [
+      ["Order", data.orderNumber],
+      ["Amount", data.total],
+      ["Status", `<span style="color: #d93025; font-weight: bold;">Failed</span>`],
+      ["Date", formatMailDate(new Date())],
+    ],
+    extra: `<p style="font-size: 14px; color: #444; line-height: 1.6;">
+            For further assistance, feel free to contact us at
+            <a href="mailto:${data.contactEmail}" style="color: #004aad;">${data.contactEmail}</a>.
+          </p>`,
+  });
 
-          <p style="font-size: 14px; color: #444; line-height: 1.6;">
-            Please ensure your payment details are correct and that your account
-            has sufficient funds. You may also try using a different payment method.
-            <strong>Global Learning Bridge</strong> is a registered
-            <strong>501(c)(3) non-profit organization</strong>. Your
-            contribution is tax-deductible to the extent allowed by law. No
-            goods or services were provided in exchange for this donation.
-          </p>
+// order (fully) shipped, with the tracking of every shipment
+const orderShippedMailTemplate = (data) =>
+  orderMailLayout(data, {
+    title: "Order Shipped",
+    color: "#0a567c",
+    message: `Good news, your order <strong>${data.orderNumber}</strong> is on its way.`,
+    rows: [
+      ["Order", data.orderNumber],
+      ["Payment", paymentMethodLabel(data.paymentMethod)],
+      ...(data.paymentMethod === "online" ? [] : [["To pay on delivery", data.total]]),
+      ...(data.shipments || []).map((shipment) => [
+        shipment.carrier,
+        shipment.trackingUrl
+          ? `<a href="${shipment.trackingUrl}" style="color: #004aad;">${shipment.trackingNumber || "Track"}</a>`
+          : shipment.trackingNumber || "-",
+      ]),
+    ],
+  });
 
-          <p style="font-size: 15px; color: #555; line-height: 1.6;">
-            For further assistance, feel free to contact us at
-            <a href="mailto:support@globallearningbridge.org" style="color: #004aad;">support@globallearningbridge.org</a>.
-          </p>
+const orderDeliveredMailTemplate = (data) =>
+  orderMailLayout(data, {
+    title: "Order Delivered",
+    color: "#28a745",
+    message: `Your order <strong>${data.orderNumber}</strong> has been delivered. We hope you enjoy it!`,
+    rows: [
+      ["Order", data.orderNumber],
+      ["Delivered", formatMailDate(new Date())],
+    ],
+  });
 
-          <p style="font-size: 15px; color: #333;">
-            Warm regards,<br />
-            <strong>Global Learning Bridge Team</strong><br />
-            <a href="https://globallearningbridge.org" style="color: #004aad;">https://globallearningbridge.org</a>
-          </p>
-        </td>
-      </tr>
+const orderCancelledMailTemplate = (data) =>
+  orderMailLayout(data, {
+    title: "Order Cancelled",
+    color: "#d93025",
+    message: `Your order <strong>${data.orderNumber}</strong> has been cancelled${data.reason ? `: ${data.reason}` : "."}${data.paymentStatus === "paid" ? " Your payment will be refunded." : ""}`,
+    rows: [
+      ["Order", data.orderNumber],
+      ["Total", data.total],
+    ],
+  });
 
-      <!-- Footer -->
-      <tr>
-        <td
-          style="background-color: #f1f1f1; text-align: center; padding: 15px; font-size: 12px; color: #777;"
-        >
-          © 2025 Global Learning Bridge. All rights reserved.<br />
-          EIN: 12-3456789
-        </td>
-      </tr>
-    </table>
-  </body>
-</html>
-`;
-};
+const refundMailTemplate = (data) =>
+  orderMailLayout(data, {
+    title: "Refund Issued",
+    color: "#0a567c",
+    message: `We issued a refund for your order <strong>${data.orderNumber}</strong>. ${data.paymentMethod === "online" ? "It may take a few days to appear on your statement." : ""}`,
+    rows: [
+      ["Order", data.orderNumber],
+      ["Refunded", data.refundAmount],
+      ["Order total", data.total],
+    ],
+  });
 
 export {
   mailTemplateForNotifications,
@@ -551,4 +526,10 @@ export {
   mailTemplateForNewUserCredentials,
   receiptMailTemplate,
   failedPaymentTemplate,
+  orderPlacedMailTemplate,
+  orderConfirmationMailTemplate,
+  orderShippedMailTemplate,
+  orderDeliveredMailTemplate,
+  orderCancelledMailTemplate,
+  refundMailTemplate,
 };
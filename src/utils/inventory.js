@@ -0,0 +1,62 @@
+import { Order } from "../models/order.model.js";
+import { Product } from "../models/product.model.js";
+import { CustomError } from "./customError.js";
+import { releaseCoupon } from "./coupon.js";
+
+// reserve stock for order items
+// (conditional $inc only decrements when enough stock is left, so two
+// parallel orders can never take the same unit; returns the updated
+// products with the quantity taken from each)
+// ---------------------------------------------------------------------
+const reserveStock = async (items, session) => {
+  const reserved = [];
+  for (const item of items) {
+    const product = await Product.findOneAndUpdate(
+      { _id: item.product, stock: { $gte: item.quantity } },
+      { $inc: { stock: -item.quantity } },
+      { new: true, session }
+    );
+    if (!product) {
+      throw new CustomError(400, `Insufficient stock for ${item.name}`);
+    }
+    reserved.push({ product, quantity: item.quantity });
+  }
+  return reserved;
+};
+
+// give stock of order items back to products
+// ------------------------------------------
+const restoreStock = async (items, session) => {
+  if (!items?.length) return;
+  await Product.bulkWrite(
+    items.map((item) => ({
+      updateOne: {
+        filter: { _id: item.product },
+        update: { $inc: { stock: item.quantity } },
+      },
+    })),
+    { session }
+  );
+};
+
+// cancel an order and give its stock back (call inside a transaction)
+// -------------------------------------------------------------------
+const cancelOrderWithRestock = async (order, cancelledBy, session) => {
+  // a webhook may cancel the same order in parallel, it is only restocked once
+  const claimed = await Order.updateOne(
+    { _id: order._id, status: { $ne: "cancelled" } },
+    { $set: { status: "cancelled", cancelledBy } },
+    { session }
+  );
+  if (!claimed.modifiedCount) {
+    throw new CustomError(409, "Order is already cancelled");
+  }
+
+  order.status = "cancelled";
+  order.cancelledBy = cancelledBy;
+  await restoreStock(order.items, session);
+  await releaseCoupon(order, session);
+  await order.save({ session });
+};
+
+export { reserveStock, restoreStock, cancelOrderWithRestock };
@@ -0,0 +1,113 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+import sgMail from "@sendgrid/mail";
+import { getEnv } from "../configs/config.js";
+
+// Every transport sends the same message shape and answers { success, messageId }
+// or { success: false, error }:
+//   { from, to, subject, text, html, attachments: [{ filename, content, contentType }] }
+// Clients are created on first use, so only the configured transport needs its env.
+
+// smtp (nodemailer)
+// -----------------
+let smtpTransporter = null;
+const getSmtpTransporter = () => {
+  if (!smtpTransporter) {
+    smtpTransporter = nodemailer.createTransport({
+      host: getEnv("NODEMAILER_HOST"),
+      port: parseInt(getEnv("NODEMAILER_PORT")),
+      secure: parseInt(getEnv("NODEMAILER_PORT")) === 465, // true for 465, false for other ports
+      auth: {
+        user: getEnv("NODEMAILER_USER"),
+        pass: getEnv("NODEMAILER_PASSWORD"),
+      },
+    });
+  }
+  return smtpTransporter;
+};
+
+const smtpTransport = Object.freeze({
+  name: "smtp",
+  defaultFrom: () => getEnv("NODEMAILER_FROM"),
+  send: async (message) => {
+    const info = await getSmtpTransporter().sendMail(message);
+    return { success: true, messageId: info.messageId };
+  },
+});
+
+// sendgrid
+// --------
+let sendgridReady = false;
+const sendgridTransport = Object.freeze({
+  name: "sendgrid",
+  defaultFrom: () => getEnv("SENDGRID_MAIL_FROM"),
+  send: async (message) => {
+    if (!sendgridReady) {
+      sgMail.setApiKey(getEnv("SENDGRID_API_KEY"));
+      sendgridReady = true;
+    }
+    const [response] = await sgMail.send({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      attachments: message.attachments?.map((file) => ({
+        filename: file.filename,
+        content: Buffer.isBuffer(file.content)
+          ? file.content.toString("base64")
+          : Buffer.from(file.content).toString("base64"),
+        type: file.contentType || "application/pdf",
+        disposition: "attachment",
+      })),
+    });
+    return { success: true, messageId: response?.headers?.["x-message-id"] };
+  },
+});
+
+// file: every message is written to MAIL_FILE_DIR as an .eml file (development)
+// -----------------------------------------------------------------------------
+const emlBuilder = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+const fileTransport = Object.freeze({
+  name: "file",
+  defaultFrom: () => getEnv("MAIL_FROM"),
+  send: async (message) => {
+    const info = await emlBuilder.sendMail(message);
+    const directory = path.resolve(getEnv("MAIL_FILE_DIR"));
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`;
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(path.join(directory, fileName), info.message);
+    return { success: true, messageId: info.messageId, file: path.join(directory, fileName) };
+  },
+});
+
+// memory: messages are kept in this process (tests and local scripts)
+// -------------------------------------------------------------------
+const sentMails = [];
+
+const memoryTransport = Object.freeze({
+  name: "memory",
+  defaultFrom: () => getEnv("MAIL_FROM"),
+  send: async (message) => {
+    const messageId = `<${crypto.randomUUID()}@memory>`;
+    sentMails.push({ ...message, messageId, sentAt: new Date() });
+    return { success: true, messageId };
+  },
+});
+
+const getSentMails = () => [...sentMails];
+const clearSentMails = () => {
+  sentMails.length = 0;
+};
+
+export {
+  smtpTransport,
+  sendgridTransport,
+  fileTransport,
+  memoryTransport,
+  getSentMails,
+  clearSentMails,
+};
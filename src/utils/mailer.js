@@ -0,0 +1,50 @@
+import { getEnv } from "../configs/config.js";
+import {
+  fileTransport,
+  memoryTransport,
+  sendgridTransport,
+  smtpTransport,
+} from "./mailTransports.js";
+
+const mailTransports = Object.freeze({
+  smtp: smtpTransport,
+  sendgrid: sendgridTransport,
+  file: fileTransport,
+  memory: memoryTransport,
+});
+
+// transport selected through MAIL_TRANSPORT
+// -----------------------------------------
+const getMailTransport = () => {
+  const name = getEnv("MAIL_TRANSPORT");
+  const transport = mailTransports[name];
+  if (!transport) throw new Error(`Unknown mail transport ${name}`);
+  return transport;
+};
+
+// send an email through the configured transport
+// (attachments: [{ filename, content, contentType }]; never throws, the
+// result tells whether the mail went out)
+// ---------------------------------------------------------------------
+const sendMail = async ({ to, subject, html, text, attachments, from } = {}) => {
+  try {
+    if (!to || !subject || !(html || text)) {
+      throw new Error("Please Provide To, Subject and Text");
+    }
+
+    const transport = getMailTransport();
+    return await transport.send({
+      from: from || transport.defaultFrom(),
+      to,
+      subject,
+      text,
+      html,
+      attachments: attachments?.length ? attachments : undefined,
+    });
+  } catch (error) {
+    console.error("Error while sending mail", error);
+    return { success: false, error: error.message };
+  }
+};
+
+export { getMailTransport, sendMail };
@@ -1,4 +1,4 @@
-// import { Notification } from "../models/notification.model.js";
+import { Notification } from "../models/notification.model.js";
 import { getUserSocketId } from "./sockets.js";
 
 export function initNotificationWatcher(io) {
@@ -7,23 +7,11 @@ export function initNotificationWatcher(io) {
   changeStream.on("change", (change) => {
     const { operationType, fullDocument } = change;
 
-    if (operationType === "insert") {
-      // Notify owner (admin)
-      if (fullDocument.owner) {
-        const owner = fullDocument.owner.toString();
-        const ownerSocketid = getUserSocketId(owner);
-        if (ownerSocketid) {
-          io.to(ownerSocketid).emit("notification:insert", fullDocument);
-        }
-      }
-
-      // Notify client (if present)
-      if (fullDocument.clientId) {
-        const client = fullDocument.clientId.toString();
-        const clientSocketid = getUserSocketId(client);
-        if (clientSocketid) {
-          io.to(clientSocketid).emit("notification:insert", fullDocument);
-        }
+    // Notify the recipient (if connected)
+    if (operationType === "insert" && fullDocument.recipient) {
+      const recipientSocketId = getUserSocketId(fullDocument.recipient.toString());
+      if (recipientSocketId) {
+        io.to(recipientSocketId).emit("notification:insert", fullDocument);
       }
     }
   });
@@ -0,0 +1,138 @@
+import { getEnv } from "../configs/config.js";
+import { Wishlist } from "../models/wishlist.model.js";
+import { getMinorUnits } from "./currency.js";
+import { createNotification, createNotifications, notifyAdmins } from "./createNotification.js";
+
+// notifications are a side effect, a failing one never fails the request
+const inBackground = (label, producer) =>
+  producer().catch((error) => console.error(`Error while notifying ${label}:`, error));
+
+const formatAmount = (amount, currency) =>
+  `${Number(amount || 0).toFixed(getMinorUnits(currency))} ${currency}`;
+
+// customer notification of an order event (same events as utils/orderMail.js)
+// ---------------------------------------------------------------------------
+const orderNotifications = Object.freeze({
+  placed: (order) => ({
+    type: "order_placed",
+    title: `Order ${order.orderNumber} placed`,
+    message: `We received your order of ${formatAmount(order.totalAmount, order.currency)}.`,
+  }),
+  confirmed: (order) => ({
+    type: "order_status",
+    title: `Order ${order.orderNumber} confirmed`,
+    message: "Your order is confirmed and being prepared.",
+  }),
+  shipped: (order) => ({
+    type: "order_status",
+    title: `Order ${order.orderNumber} shipped`,
+    message: "Your order is on its way.",
+  }),
+  delivered: (order) => ({
+    type: "order_status",
+    title: `Order ${order.orderNumber} delivered`,
+    message: "Your order has been delivered.",
+  }),
+  cancelled: (order, { reason }) => ({
+    type: "order_status",
+    title: `Order ${order.orderNumber} cancelled`,
+    message: reason || "Your order has been cancelled.",
+  }),
+  paid: (order) => ({
+    type: "payment_paid",
+    title: `Payment received for order ${order.orderNumber}`,
+    message: `We received your payment of ${formatAmount(order.totalAmount, order.currency)}.`,
+  }),
+  payment_failed: (order, { reason }) => ({
+    type: "payment_failed",
+    title: `Payment failed for order ${order.orderNumber}`,
+    message: reason || "The payment did not go through, the order has been cancelled.",
+  }),
+  refunded: (order, { refundAmount }) => ({
+    type: "payment_refunded",
+    title: `Refund for order ${order.orderNumber}`,
+    message: `We refunded ${formatAmount(refundAmount, order.currency)}.`,
+  }),
+});
+
+// notify the customer (and the admins of a new order) about an order event
+// ------------------------------------------------------------------------
+const notifyOrderActivity = (event, order, details = {}) =>
+  inBackground(`${event} of order ${order._id}`, async () => {
+    const build = orderNotifications[event];
+    if (!build) return;
+
+    const payload = {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      paymentStatus: order.paymentStatus,
+    };
+    await createNotification({
+      recipient: order.customer?._id || order.customer,
+      ...build(order, details),
+      payload,
+    });
+
+    if (event === "placed") {
+      await notifyAdmins({
+        type: "new_order",
+        title: `New order ${order.orderNumber}`,
+        message: `${formatAmount(order.totalAmount, order.currency)}, ${
+          order.paymentMethod === "online" ? "paid online" : "cash on delivery"
+        }`,
+        payload,
+      });
+    }
+  });
+
+// products whose stock went down to the low stock threshold
+// (products: the updated products with the quantity taken from them)
+// -----------------------------------------------------------------
+const isLowStock = (stock) => stock <= Number(getEnv("LOW_STOCK_THRESHOLD"));
+
+const notifyLowStock = (products) =>
+  inBackground("low stock", async () => {
+    for (const { product, quantity } of products) {
+      // only once, when the stock crosses the threshold
+      if (!isLowStock(product.stock) || isLowStock(product.stock + quantity)) continue;
+      await notifyAdmins({
+        type: "low_stock",
+        title: `${product.name} is running low`,
+        message: product.stock ? `Only ${product.stock} left in stock.` : "Out of stock.",
+        payload: { productId: product._id, stock: product.stock },
+      });
+    }
+  });
+
+// tell customers with the product on their wishlist that it is back or cheaper
+// ----------------------------------------------------------------------------
+const notifyWishlistProductChange = (product, { previousStock, previousPrice }) =>
+  inBackground(`wishlist of product ${product._id}`, async () => {
+    const backInStock = previousStock <= 0 && product.stock > 0;
+    const priceDrop = product.price < previousPrice;
+    if (!backInStock && !priceDrop) return;
+
+    const entries = await Wishlist.find({ product: product._id }).select("customer");
+    const customers = entries.map((entry) => entry.customer);
+    const payload = { productId: product._id, price: product.price, stock: product.stock };
+
+    if (backInStock) {
+      await createNotifications(customers, {
+        type: "wishlist_back_in_stock",
+        title: `${product.name} is back in stock`,
+        message: "An item on your wishlist is available again.",
+        payload,
+      });
+    }
+    if (priceDrop) {
+      await createNotifications(customers, {
+        type: "wishlist_price_drop",
+        title: `${product.name} is now cheaper`,
+        message: `The price went down from ${previousPrice} to ${product.price}.`,
+        payload: { ...payload, previousPrice },
+      });
+    }
+  });
+
+export { notifyOrderActivity, notifyLowStock, notifyWishlistProductChange };
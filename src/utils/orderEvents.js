@@ -0,0 +1,15 @@
+import { sendOrderMail } from "./orderMail.js";
+import { notifyOrderActivity } from "./notifications.js";
+
+// tell the customer about an order or payment transition: an email through the
+// outbox and an in-app notification (runs in the background, a failure never
+// fails the order change)
+// ----------------------------------------------------------------------------
+const notifyOrderEvent = (event, order, details = {}) => {
+  sendOrderMail(event, order, details).catch((error) =>
+    console.error(`Error while sending ${event} mail of order ${order._id}:`, error)
+  );
+  notifyOrderActivity(event, order, details);
+};
+
+export { notifyOrderEvent };
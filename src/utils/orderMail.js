@@ -0,0 +1,134 @@
+import { getEnv } from "../configs/config.js";
+import { Settings } from "../models/settings.model.js";
+import { PaymentIntent } from "../models/paymentIntent.model.js";
+import { getMinorUnits } from "./currency.js";
+import {
+  failedPaymentTemplate,
+  orderCancelledMailTemplate,
+  orderConfirmationMailTemplate,
+  orderDeliveredMailTemplate,
+  orderPlacedMailTemplate,
+  orderShippedMailTemplate,
+  receiptMailTemplate,
+  refundMailTemplate,
+} from "./htmlPages.js";
+import { generateInvoicePDF, generateReceiptPDF } from "./pdfGenerator.js";
+import { enqueueMail } from "./emailOutbox.js";
+
+// emails sent to the customer on order and payment transitions
+// (attachment: pdf generated from the order and attached to the email)
+// ---------------------------------------------------------------------
+const orderMailEvents = Object.freeze({
+  placed: {
+    subject: (order) => `We received your order ${order.orderNumber}`,
+    template: orderPlacedMailTemplate,
+  },
+  confirmed: {
+    subject: (order) => `Order ${order.orderNumber} confirmed`,
+    template: orderConfirmationMailTemplate,
+    attachment: { name: "invoice", generate: generateInvoicePDF },
+  },
+  paid: {
+    subject: (order) => `Payment received for order ${order.orderNumber}`,
+    template: receiptMailTemplate,
+    attachment: { name: "receipt", generate: generateReceiptPDF },
+  },
+  payment_failed: {
+    subject: (order) => `Payment failed for order ${order.orderNumber}`,
+    template: failedPaymentTemplate,
+  },
+  shipped: {
+    subject: (order) => `Order ${order.orderNumber} shipped`,
+    template: orderShippedMailTemplate,
+  },
+  delivered: {
+    subject: (order) => `Order ${order.orderNumber} delivered`,
+    template: orderDeliveredMailTemplate,
+  },
+  cancelled: {
+    subject: (order) => `Order ${order.orderNumber} cancelled`,
+    template: orderCancelledMailTemplate,
+  },
+  refunded: {
+    subject: (order) => `Refund for order ${order.orderNumber}`,
+    template: refundMailTemplate,
+  },
+});
+
+const orderMailEventNames = Object.keys(orderMailEvents);
+
+const formatAmount = (amount, currency) =>
+  `${Number(amount || 0).toFixed(getMinorUnits(currency))} ${currency}`;
+
+// template data of an order (details: extra data of the event, e.g. reason or refundAmount)
+// ----------------------------------------------------------------------------------------
+const buildOrderMailData = async (order, settings, details = {}) => {
+  const paymentIntent =
+    order.paymentMethod === "online"
+      ? await PaymentIntent.findOne({ order: order._id }).select("stripePaymentIntentId intentId")
+      : null;
+
+  return {
+    name: order.customer?.name,
+    orderNumber: order.orderNumber,
+    createdAt: order.createdAt,
+    total: formatAmount(order.totalAmount, order.currency),
+    currency: order.currency,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    transactionId: paymentIntent?.stripePaymentIntentId || paymentIntent?.intentId,
+    items: order.items.map((item) => ({
+      name: item.name,
+      quantity: item.quantity,
+      total: formatAmount(item.price * item.quantity, order.currency),
+    })),
+    shipments: order.shipments,
+    siteName: settings.siteName,
+    logoUrl: settings.logoUrl,
+    contactEmail: settings.contactEmail,
+    orderUrl: `${getEnv("FRONTEND_URL")}/orders`,
+    ...details,
+    ...(details.refundAmount !== undefined
+      ? { refundAmount: formatAmount(details.refundAmount, order.currency) }
+      : {}),
+  };
+};
+
+// render the email of an order event (used for sending and for the admin preview)
+// -------------------------------------------------------------------------------
+const renderOrderMail = async (event, order, details = {}, { withAttachments = true } = {}) => {
+  const definition = orderMailEvents[event];
+  if (!definition) {
+    throw new Error(`Unknown order mail event ${event}`);
+  }
+
+  await order.populate("customer", "name email");
+  const settings = await Settings.getSettings();
+  const data = await buildOrderMailData(order, settings, details);
+
+  const attachments = [];
+  if (definition.attachment && withAttachments) {
+    attachments.push({
+      filename: `${definition.attachment.name}-${order.orderNumber}.pdf`,
+      content: await definition.attachment.generate(order, settings),
+      contentType: "application/pdf",
+    });
+  }
+
+  return {
+    to: order.customer?.email || order.shippingAddress?.emailAddress,
+    subject: definition.subject(order),
+    html: definition.template(data),
+    attachments,
+  };
+};
+
+// queue the email of an order event in the outbox
+// -----------------------------------------------
+const sendOrderMail = async (event, order, details = {}) => {
+  const mail = await renderOrderMail(event, order, details);
+  if (!mail.to) return null;
+  return enqueueMail(mail, { category: `order:${event}`, order: order._id });
+};
+
+export { orderMailEventNames, renderOrderMail, sendOrderMail };
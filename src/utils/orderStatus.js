@@ -0,0 +1,163 @@
+import { Order } from "../models/order.model.js";
+import { PaymentIntent } from "../models/paymentIntent.model.js";
+import { CustomError } from "./customError.js";
+import { cancelOrderWithRestock } from "./inventory.js";
+import { closeCheckoutSession } from "./paymentProvider.js";
+import { refundOrderPayment } from "./refund.js";
+import { notifyOrderEvent } from "./orderEvents.js";
+import { runInTransaction } from "./transaction.js";
+
+// allowed order status transitions
+// --------------------------------
+const orderStatusTransitions = Object.freeze({
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["processing", "cancelled"],
+  processing: ["shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: [],
+  cancelled: [],
+});
+
+const canTransition = (from, to) =>
+  orderStatusTransitions[from]?.includes(to) || false;
+
+const getAllowedTransitions = (status) => orderStatusTransitions[status] || [];
+
+// a partially refunded order is still paid for what is left
+const isPaid = (order) => ["paid", "partially_refunded"].includes(order.paymentStatus);
+
+// record a status change on the order history (does not save)
+// -----------------------------------------------------------
+const addStatusHistory = (order, to, { changedBy, role, note } = {}) => {
+  order.statusHistory.push({
+    from: order.status,
+    to,
+    changedBy,
+    role,
+    note,
+    changedAt: new Date(),
+  });
+};
+
+// move an order to a new status, running the side effects of the transition
+// ---------------------------------------------------------------------------
+const transitionOrderStatus = async (order, to, { changedBy, role = "admin", note } = {}) => {
+  if (order.status === to) {
+    throw new CustomError(400, `Order is already ${to}`);
+  }
+
+  if (!canTransition(order.status, to)) {
+    throw new CustomError(400, `Cannot change order status from ${order.status} to ${to}`);
+  }
+
+  // online orders can't leave the warehouse unpaid
+  if (to === "shipped" && order.paymentMethod === "online" && !isPaid(order)) {
+    throw new CustomError(400, "Online orders must be paid before they are shipped");
+  }
+
+  if (to === "cancelled") {
+    // shipped units are on their way, they come back through a return
+    if (order.shipments?.length) {
+      throw new CustomError(400, "Order has shipments, shipped items must be returned instead");
+    }
+
+    // close the checkout session of unpaid online orders so it can't be paid anymore
+    const paymentIntent =
+      order.paymentMethod === "online" && order.paymentStatus === "pending"
+        ? await PaymentIntent.findOne({ order: order._id, status: "pending" })
+        : null;
+    if (paymentIntent && !(await closeCheckoutSession(paymentIntent.intentId))) {
+      // the customer paid (or is paying), the paid webhook settles the order
+      throw new CustomError(409, "Payment in progress, the order can't be cancelled right now");
+    }
+    if (paymentIntent) order.paymentStatus = "failed";
+
+    // a paid online order gives the money back before it gives the stock back,
+    // a failed refund leaves the order as it was
+    if (order.paymentMethod === "online" && isPaid(order)) {
+      await refundOrderPayment(order, {
+        reason: note || "Order was cancelled",
+        source: "cancellation",
+        createdBy: changedBy,
+      });
+    }
+    addStatusHistory(order, to, { changedBy, role, note });
+
+    // give the stock back together with the cancellation
+    const cancelled = await runInTransaction(async (session) => {
+      if (paymentIntent) {
+        // the expired session webhook fails the payment and cancels the order
+        // too, whoever claims the payment first does the cancellation
+        const failedIntent = await PaymentIntent.findOneAndUpdate(
+          { _id: paymentIntent._id, status: "pending" },
+          { $set: { status: "failed" } },
+          { new: true, session }
+        );
+        if (!failedIntent) return false;
+      }
+      // a shipment created in the meantime conflicts with the cancellation,
+      // the retried transaction sees it here
+      const shipped = await Order.exists({
+        _id: order._id,
+        "shipments.0": { $exists: true },
+      }).session(session);
+      if (shipped) {
+        throw new CustomError(400, "Order has shipments, shipped items must be returned instead");
+      }
+      await cancelOrderWithRestock(order, role, session);
+      return true;
+    });
+
+    // already cancelled by the expiry, which told the customer
+    if (!cancelled) {
+      const current = await Order.findById(order._id);
+      if (current?.status !== "cancelled") {
+        throw new CustomError(409, "Payment was settled in the meantime, please try again");
+      }
+      order.init(current.toObject());
+      return order;
+    }
+    notifyOrderEvent("cancelled", order, { reason: note });
+    return order;
+  }
+
+  addStatusHistory(order, to, { changedBy, role, note });
+  order.status = to;
+  await order.save();
+
+  // the customer hears about every step (the invoice comes with the confirmation)
+  if (["confirmed", "shipped", "delivered"].includes(to)) {
+    notifyOrderEvent(to, order);
+  }
+  return order;
+};
+
+// order timeline for api responses
+// --------------------------------
+const buildOrderTimeline = (order) => {
+  const history = order.statusHistory || [];
+
+  // orders placed before the history existed only know their creation
+  if (!history.length) {
+    return [{ status: "pending", changedAt: order.createdAt, note: "Order placed" }];
+  }
+
+  return history.map((entry) => ({
+    status: entry.to,
+    from: entry.from,
+    changedAt: entry.changedAt,
+    changedBy: entry.changedBy,
+    role: entry.role,
+    note: entry.note,
+  }));
+};
+
+export {
+  orderStatusTransitions,
+  canTransition,
+  getAllowedTransitions,
+  isPaid,
+  addStatusHistory,
+  transitionOrderStatus,
+  buildOrderTimeline,
+};
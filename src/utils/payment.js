@@ -0,0 +1,149 @@
+import { Order } from "../models/order.model.js";
+import { PaymentIntent } from "../models/paymentIntent.model.js";
+import { CustomError } from "./customError.js";
+import { cancelOrderWithRestock } from "./inventory.js";
+import { addStatusHistory, canTransition } from "./orderStatus.js";
+import { findCheckoutSessionByPaymentIntent } from "./paymentProvider.js";
+import { notifyOrderEvent } from "./orderEvents.js";
+import { runInTransaction } from "./transaction.js";
+
+const settledStatuses = ["paid", "partially_refunded", "refunded"];
+
+// find our payment of a stripe payment intent
+// (payments made before the stripe payment intent was stored are found
+// through their checkout session)
+// --------------------------------------------------------------------
+const findPaymentByStripeIntent = async (stripePaymentIntentId) => {
+  if (!stripePaymentIntentId) return null;
+
+  const paymentIntent = await PaymentIntent.findOne({ stripePaymentIntentId });
+  if (paymentIntent) return paymentIntent;
+
+  const lookup = await findCheckoutSessionByPaymentIntent(stripePaymentIntentId);
+  if (!lookup.success) throw new Error(lookup.error);
+  if (!lookup.session) return null;
+
+  const sessionPayment = await PaymentIntent.findOne({ intentId: lookup.session.id });
+  if (sessionPayment) sessionPayment.stripePaymentIntentId = stripePaymentIntentId;
+  return sessionPayment;
+};
+
+// mark a payment and its order paid (safe to call again for the same payment)
+// ---------------------------------------------------------------------------
+const markPaymentPaid = async (paymentIntent, { totalAmount, stripePaymentIntentId } = {}) => {
+  const order = await Order.findById(paymentIntent.order);
+  if (settledStatuses.includes(paymentIntent.status)) {
+    return { order, alreadyPaid: true };
+  }
+
+  paymentIntent.status = "paid";
+  if (totalAmount) paymentIntent.totalAmount = totalAmount;
+  if (stripePaymentIntentId) paymentIntent.stripePaymentIntentId = stripePaymentIntentId;
+  paymentIntent.lastPaymentError = undefined;
+  await paymentIntent.save();
+
+  if (order) {
+    order.paymentStatus = "paid";
+    if (totalAmount) order.totalAmount = totalAmount;
+    // the stock is no longer on hold, it is sold
+    order.reservationExpiresAt = undefined;
+    await order.save();
+    notifyOrderEvent("paid", order);
+  }
+
+  return { order, alreadyPaid: false };
+};
+
+// fail a pending payment and cancel its order, giving the stock back
+// (returns false when the payment was settled in the meantime)
+// ------------------------------------------------------------------
+const failOrderPayment = async (order, paymentIntent, { note } = {}) => {
+  const cancel = canTransition(order.status, "cancelled");
+
+  order.paymentStatus = "failed";
+  if (cancel) {
+    addStatusHistory(order, "cancelled", { role: "system", note });
+  }
+
+  const failed = await runInTransaction(async (session) => {
+    // a webhook may have marked the payment in the meantime
+    if (paymentIntent) {
+      const failedIntent = await PaymentIntent.findOneAndUpdate(
+        { _id: paymentIntent._id, status: "pending" },
+        { $set: { status: "failed" } },
+        { new: true, session }
+      );
+      if (!failedIntent) return false;
+    }
+    if (cancel) {
+      await cancelOrderWithRestock(order, "system", session);
+    } else {
+      await order.save({ session });
+    }
+    return true;
+  });
+
+  if (failed) notifyOrderEvent("payment_failed", order, { reason: note });
+  return failed;
+};
+
+// payment statuses an admin may set by hand: only a pending payment moves,
+// refunds go through the refund endpoint and never get undone here
+// --------------------------------------------------------------------------
+const manualPaymentTransitions = Object.freeze({
+  pending: ["paid", "failed"],
+  paid: [],
+  failed: [],
+  partially_refunded: [],
+  refunded: [],
+});
+
+// set the status of a payment by hand, together with its order
+// ------------------------------------------------------------
+const setPaymentStatus = async (paymentIntent, status, { note } = {}) => {
+  if (!manualPaymentTransitions[paymentIntent.status]?.includes(status)) {
+    throw new CustomError(
+      400,
+      `Cannot change payment status from ${paymentIntent.status} to ${status}`
+    );
+  }
+
+  const order = await Order.findById(paymentIntent.order);
+
+  // a failed payment cancels its order like a failed checkout does
+  if (status === "failed") {
+    if (!order) {
+      throw new CustomError(404, "Order not found");
+    }
+    if (!(await failOrderPayment(order, paymentIntent, { note }))) {
+      throw new CustomError(409, "Payment was settled in the meantime, please try again");
+    }
+    return PaymentIntent.findById(paymentIntent._id);
+  }
+
+  const updated = await runInTransaction(async (session) => {
+    // a webhook may have settled the payment in the meantime
+    const claimed = await PaymentIntent.findOneAndUpdate(
+      { _id: paymentIntent._id, status: paymentIntent.status },
+      { $set: { status } },
+      { new: true, session }
+    );
+    if (!claimed) return null;
+
+    if (order) {
+      order.paymentStatus = status;
+      // the stock is no longer on hold, it is sold
+      order.reservationExpiresAt = undefined;
+      await order.save({ session });
+    }
+    return claimed;
+  });
+  if (!updated) {
+    throw new CustomError(409, "Payment was settled in the meantime, please try again");
+  }
+
+  if (order) notifyOrderEvent("paid", order);
+  return updated;
+};
+
+export { findPaymentByStripeIntent, markPaymentPaid, failOrderPayment, setPaymentStatus };
@@ -0,0 +1,64 @@
+import { getEnv } from "../configs/config.js";
+import { fakePaymentProvider } from "./fakePayment.js";
+import { stripeProvider } from "./stripe.js";
+
+// Every provider implements the same interface, with the stripe helpers'
+// { success, ... } results and stripe shaped sessions and webhook events:
+//   createCheckoutSession(items, successUrl, cancelUrl, metadata, options)
+//   retrieveCheckoutSession(sessionId)
+//   listCheckoutSessions(createdAfter, max)
+//   expireCheckoutSession(sessionId)
+//   createRefund(sessionId, amount, metadata)
+//   findCheckoutSessionByPaymentIntent(paymentIntentId)
+//   listRefunds(paymentIntentId)
+//   constructWebhookEvent(payload, signature)   (throws on a bad signature)
+const paymentProviders = Object.freeze({
+  stripe: stripeProvider,
+  fake: fakePaymentProvider,
+});
+
+// provider selected through PAYMENT_PROVIDER
+// ------------------------------------------
+const getPaymentProvider = () => {
+  const name = getEnv("PAYMENT_PROVIDER");
+  const provider = paymentProviders[name];
+  if (!provider) throw new Error(`Unknown payment provider ${name}`);
+  return provider;
+};
+
+// the configured provider is looked up on every call, so callers import these
+// instead of a provider
+const createCheckoutSession = (...args) => getPaymentProvider().createCheckoutSession(...args);
+const retrieveCheckoutSession = (...args) => getPaymentProvider().retrieveCheckoutSession(...args);
+const listCheckoutSessions = (...args) => getPaymentProvider().listCheckoutSessions(...args);
+const expireCheckoutSession = (...args) => getPaymentProvider().expireCheckoutSession(...args);
+const createRefund = (...args) => getPaymentProvider().createRefund(...args);
+const findCheckoutSessionByPaymentIntent = (...args) =>
+  getPaymentProvider().findCheckoutSessionByPaymentIntent(...args);
+const listRefunds = (...args) => getPaymentProvider().listRefunds(...args);
+const constructWebhookEvent = (...args) => getPaymentProvider().constructWebhookEvent(...args);
+
+// close a checkout session so the customer can no longer pay for it
+// (returns false when the session was paid or is being paid)
+// -----------------------------------------------------------------
+const closeCheckoutSession = async (sessionId) => {
+  const expired = await expireCheckoutSession(sessionId);
+  if (expired.success) return true;
+
+  // expiring fails for sessions that are no longer open, find out why
+  const result = await retrieveCheckoutSession(sessionId);
+  return result.success && result.session.status === "expired";
+};
+
+export {
+  getPaymentProvider,
+  createCheckoutSession,
+  retrieveCheckoutSession,
+  listCheckoutSessions,
+  expireCheckoutSession,
+  createRefund,
+  findCheckoutSessionByPaymentIntent,
+  listRefunds,
+  constructWebhookEvent,
+  closeCheckoutSession,
+};
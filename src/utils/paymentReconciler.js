@@ -0,0 +1,199 @@
+import { isValidObjectId } from "mongoose";
+import { getEnv } from "../configs/config.js";
+import { Order } from "../models/order.model.js";
+import { PaymentIntent } from "../models/paymentIntent.model.js";
+import { ReconciliationReport } from "../models/reconciliationReport.model.js";
+import { CustomError } from "./customError.js";
+import { fromMinorUnits, getMinorUnits } from "./currency.js";
+import { listCheckoutSessions, retrieveCheckoutSession } from "./paymentProvider.js";
+import { stripeEventHandlers } from "./stripeWebhook.js";
+
+let isReconciling = false;
+
+const isSessionPaid = (session) =>
+  session.status === "complete" &&
+  ["paid", "no_payment_required"].includes(session.payment_status);
+
+// stripe rounds every line to the smallest currency unit, one unit of
+// difference is no discrepancy
+const amountsDiffer = (expected, actual, currency) =>
+  Math.abs(expected - actual) > 10 ** -getMinorUnits(currency) + Number.EPSILON;
+
+// settle pending payments whose checkout session finished without us
+// hearing about it (the session state runs the webhook handler it missed)
+// -----------------------------------------------------------------------
+const reconcilePendingPayments = async (report) => {
+  const minAge = Number(getEnv("PAYMENT_RECONCILE_MIN_AGE_MINUTES")) * 60 * 1000;
+  const payments = await PaymentIntent.find({
+    status: "pending",
+    intentId: { $ne: "cash_on_delivery" },
+    createdAt: { $lte: new Date(Date.now() - minAge) },
+  }).limit(500);
+  report.checkedPayments = payments.length;
+
+  for (const payment of payments) {
+    const result = await retrieveCheckoutSession(payment.intentId);
+    if (!result.success) {
+      report.discrepancies.push({
+        type: "session_not_found",
+        payment: payment._id,
+        order: payment.order,
+        sessionId: payment.intentId,
+        message: result.error,
+      });
+      continue;
+    }
+
+    const session = result.session;
+    let eventType = null;
+    if (isSessionPaid(session)) eventType = "checkout.session.completed";
+    else if (session.status === "expired") eventType = "checkout.session.expired";
+    // still open, or a delayed payment that has not settled yet
+    if (!eventType) continue;
+
+    try {
+      await stripeEventHandlers[eventType](session);
+      const updated = await PaymentIntent.findById(payment._id).select("status");
+      if (updated && updated.status !== "pending") {
+        report.fixed.push({
+          payment: payment._id,
+          order: payment.order,
+          sessionId: session.id,
+          from: "pending",
+          to: updated.status,
+        });
+      }
+    } catch (error) {
+      report.discrepancies.push({
+        type: "fix_failed",
+        payment: payment._id,
+        order: payment.order,
+        sessionId: session.id,
+        message: error.message,
+      });
+    }
+  }
+};
+
+// check recently paid checkout sessions against our payments and orders
+// ---------------------------------------------------------------------
+const reconcilePaidSessions = async (report) => {
+  const lookback = Number(getEnv("PAYMENT_RECONCILE_LOOKBACK_HOURS")) * 60 * 60 * 1000;
+  const result = await listCheckoutSessions(new Date(Date.now() - lookback));
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  // sessions of this shop always carry their order id
+  const paidSessions = result.sessions.filter(
+    (session) => isSessionPaid(session) && session.metadata?.orderId
+  );
+  report.checkedSessions = paidSessions.length;
+
+  const payments = await PaymentIntent.find({
+    intentId: { $in: paidSessions.map((session) => session.id) },
+  });
+  const paymentsBySession = new Map(payments.map((payment) => [payment.intentId, payment]));
+
+  const orders = await Order.find({
+    _id: { $in: payments.map((payment) => payment.order) },
+  }).select("totalAmount");
+  const ordersById = new Map(orders.map((order) => [order._id.toString(), order]));
+
+  for (const session of paidSessions) {
+    const paidAmount = fromMinorUnits(session.amount_total, session.currency);
+    const payment = paymentsBySession.get(session.id);
+    const orderId = isValidObjectId(session.metadata.orderId)
+      ? session.metadata.orderId
+      : undefined;
+
+    if (!payment) {
+      report.discrepancies.push({
+        type: "paid_without_payment",
+        order: orderId,
+        sessionId: session.id,
+        actualAmount: paidAmount,
+        message: "Paid checkout session has no payment record",
+      });
+      continue;
+    }
+
+    const order = ordersById.get(payment.order.toString());
+    if (!order) {
+      report.discrepancies.push({
+        type: "paid_without_order",
+        payment: payment._id,
+        order: payment.order,
+        sessionId: session.id,
+        actualAmount: paidAmount,
+        message: "Paid checkout session has no order",
+      });
+      continue;
+    }
+
+    if (amountsDiffer(order.totalAmount, paidAmount, session.currency)) {
+      report.discrepancies.push({
+        type: "amount_mismatch",
+        payment: payment._id,
+        order: order._id,
+        sessionId: session.id,
+        expectedAmount: order.totalAmount,
+        actualAmount: paidAmount,
+        message: "Amount paid differs from the order total",
+      });
+    }
+  }
+};
+
+// run a reconciliation and store its report
+// -----------------------------------------
+export const reconcilePayments = async ({ trigger = "schedule", triggeredBy } = {}) => {
+  if (isReconciling) {
+    throw new CustomError(409, "A payment reconciliation is already running");
+  }
+  isReconciling = true;
+
+  const report = new ReconciliationReport({
+    trigger,
+    triggeredBy,
+    startedAt: new Date(),
+  });
+  try {
+    await reconcilePendingPayments(report);
+    await reconcilePaidSessions(report);
+  } catch (error) {
+    console.error("Payment reconciliation error:", error);
+    report.error = error.message;
+  } finally {
+    isReconciling = false;
+  }
+
+  report.finishedAt = new Date();
+  await report.save();
+
+  if (report.fixed.length || report.discrepancies.length) {
+    console.log(
+      `Payment reconciliation fixed ${report.fixed.length} payments, found ${report.discrepancies.length} discrepancies`
+    );
+  }
+  return report;
+};
+
+// run the reconciliation in the background
+// ----------------------------------------
+export const initPaymentReconciler = () => {
+  const interval = Number(getEnv("PAYMENT_RECONCILE_INTERVAL_MINUTES")) * 60 * 1000;
+
+  const timer = setInterval(async () => {
+    if (isReconciling) return;
+    try {
+      await reconcilePayments();
+    } catch (error) {
+      console.error("Payment reconciler error:", error);
+    }
+  }, interval);
+  timer.unref();
+
+  console.log("Payment reconciler initialized");
+  return timer;
+};
@@ -0,0 +1,164 @@
+import mongoose from "mongoose";
+import { Order } from "../models/order.model.js";
+import { Auth } from "../models/auth.model.js";
+import { CustomError } from "./customError.js";
+
+const sortableFields = ["createdAt", "updatedAt", "totalAmount", "refundedAmount", "status"];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new CustomError(400, `Invalid ${name}`);
+  }
+  return date;
+};
+
+// conditions on the payment itself, applied before the lookups so they can use indexes
+// ----------------------------------------------------------------------------------
+const buildPaymentMatch = ({ status, codStatus, startDate, endDate, minAmount, maxAmount }) => {
+  const match = {};
+
+  if (status && status !== "all") {
+    match.status = status;
+  }
+
+  // "unresolved" lists the flagged cash on delivery collections still open
+  if (codStatus === "unresolved") {
+    match["cod.status"] = "discrepancy";
+    match["cod.resolvedAt"] = { $exists: false };
+  } else if (codStatus && codStatus !== "all") {
+    match["cod.status"] = codStatus;
+  }
+
+  if (startDate || endDate) {
+    match.createdAt = {};
+    if (startDate) match.createdAt.$gte = toDate(startDate, "startDate");
+    if (endDate) {
+      // Set to end of day
+      const end = toDate(endDate, "endDate");
+      end.setHours(23, 59, 59, 999);
+      match.createdAt.$lte = end;
+    }
+  }
+
+  const min = toNumber(minAmount);
+  const max = toNumber(maxAmount);
+  if (min !== null || max !== null) {
+    match.totalAmount = {};
+    if (min !== null) match.totalAmount.$gte = min;
+    if (max !== null) match.totalAmount.$lte = max;
+  }
+
+  return match;
+};
+
+// conditions on the order and customer, applied after the lookups
+// ---------------------------------------------------------------
+const buildOrderMatch = ({ search, paymentMethod, orderNumber, customer }) => {
+  const match = {};
+
+  if (paymentMethod && paymentMethod !== "all") {
+    match["order.paymentMethod"] = paymentMethod;
+  }
+
+  if (orderNumber) {
+    match["order.orderNumber"] = { $regex: `^${escapeRegex(String(orderNumber).trim())}`, $options: "i" };
+  }
+
+  // a customer id, or part of the customer name / email
+  if (customer) {
+    match.$and = [
+      mongoose.isValidObjectId(customer)
+        ? { "order.customer._id": new mongoose.Types.ObjectId(String(customer)) }
+        : {
+            $or: [
+              { "order.customer.name": { $regex: escapeRegex(customer), $options: "i" } },
+              { "order.customer.email": { $regex: escapeRegex(customer), $options: "i" } },
+            ],
+          },
+    ];
+  }
+
+  search = String(search || "").trim();
+  if (search) {
+    const searchRegex = { $regex: escapeRegex(search), $options: "i" };
+    const conditions = [
+      { "order.customer.name": searchRegex },
+      { "order.customer.email": searchRegex },
+      { "order.orderNumber": searchRegex },
+      { intentId: searchRegex },
+    ];
+    if (mongoose.isValidObjectId(search)) {
+      const id = new mongoose.Types.ObjectId(search);
+      conditions.push({ _id: id }, { "order._id": id });
+    }
+    match.$or = conditions;
+  }
+
+  return match;
+};
+
+// aggregation stages for the admin payment search: every filter runs in the
+// database, the order and its customer are joined like a populate would
+// --------------------------------------------------------------------------
+const buildPaymentSearchPipeline = (filters = {}) => {
+  const { sortBy = "createdAt", sortOrder = "desc" } = filters;
+  const sortField = sortableFields.includes(sortBy) ? sortBy : "createdAt";
+
+  return [
+    { $match: buildPaymentMatch(filters) },
+    {
+      $lookup: {
+        from: Order.collection.name,
+        localField: "order",
+        foreignField: "_id",
+        as: "order",
+      },
+    },
+    { $unwind: { path: "$order", preserveNullAndEmptyArrays: true } },
+    {
+      $lookup: {
+        from: Auth.collection.name,
+        localField: "order.customer",
+        foreignField: "_id",
+        pipeline: [{ $project: { name: 1, email: 1, phone: 1 } }],
+        as: "customer",
+      },
+    },
+    {
+      $set: {
+        "order.customer": { $ifNull: [{ $arrayElemAt: ["$customer", 0] }, "$order.customer"] },
+      },
+    },
+    { $unset: "customer" },
+    { $match: buildOrderMatch(filters) },
+    { $sort: { [sortField]: sortOrder === "desc" ? -1 : 1, _id: -1 } },
+  ];
+};
+
+// columns of the payment csv export
+// ---------------------------------
+const paymentCsvFields = [
+  { label: "Payment ID", value: (row) => row._id.toString() },
+  { label: "Intent ID", value: "intentId" },
+  { label: "Order Number", value: "order.orderNumber" },
+  { label: "Customer", value: "order.customer.name" },
+  { label: "Email", value: "order.customer.email" },
+  { label: "Payment Method", value: "order.paymentMethod" },
+  { label: "Status", value: "status" },
+  { label: "Amount", value: "totalAmount" },
+  { label: "Refunded", value: (row) => row.refundedAmount || 0 },
+  { label: "Currency", value: "currency" },
+  { label: "COD Status", value: "cod.status" },
+  { label: "Created At", value: (row) => new Date(row.createdAt).toISOString() },
+];
+
+export { buildPaymentSearchPipeline, paymentCsvFields };
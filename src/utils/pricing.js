@@ -0,0 +1,78 @@
+import { convertAmount, getMinorUnits } from "./currency.js";
+
+// round money values to the smallest unit of a currency (cents by default)
+// ------------------------------------------------------------------------
+const roundMoney = (amount, currency) => {
+  const factor = 10 ** getMinorUnits(currency);
+  return Math.round((Number(amount) || 0) * factor) / factor;
+};
+
+// price rules, each one returns a candidate unit price for a product at a
+// given time (or null when it does not apply). The lowest candidate wins,
+// so future promotions only need a new entry here.
+// -----------------------------------------------------------------------
+const priceRules = [
+  {
+    name: "flash_sale",
+    apply: (product, now) => {
+      if (!product.is_flash_sale || product.flash_sale_price == null) return null;
+      if (product.flash_sale_start && new Date(product.flash_sale_start) > now)
+        return null;
+      if (product.flash_sale_end && new Date(product.flash_sale_end) < now)
+        return null;
+      return product.flash_sale_price;
+    },
+  },
+];
+
+// effective unit price of a product
+// ---------------------------------
+const getEffectivePrice = (product, now = new Date()) => {
+  const listPrice = roundMoney(product.price);
+  let price = listPrice;
+  let promotion = null;
+
+  for (const rule of priceRules) {
+    const candidate = rule.apply(product, now);
+    if (candidate == null || candidate < 0) continue;
+    if (roundMoney(candidate) < price) {
+      price = roundMoney(candidate);
+      promotion = rule.name;
+    }
+  }
+
+  return {
+    listPrice,
+    price,
+    discount: roundMoney(listPrice - price),
+    promotion,
+  };
+};
+
+// attach effective pricing to a product for api responses, converted to the
+// display currency of the request when it differs from the store currency
+// --------------------------------------------------------------------------
+const withPricing = (product, currencyContext, now = new Date()) => {
+  if (!product) return product;
+  const data =
+    typeof product.toObject === "function" ? product.toObject() : product;
+  const pricing = getEffectivePrice(data, now);
+
+  if (currencyContext) {
+    pricing.currency = currencyContext.currency;
+    const { displayCurrency, rate } = currencyContext;
+    if (displayCurrency !== currencyContext.currency && rate) {
+      pricing.display = {
+        currency: displayCurrency,
+        rate,
+        listPrice: convertAmount(pricing.listPrice, currencyContext),
+        price: convertAmount(pricing.price, currencyContext),
+        discount: convertAmount(pricing.discount, currencyContext),
+      };
+    }
+  }
+
+  return { ...data, pricing };
+};
+
+export { roundMoney, getEffectivePrice, withPricing };
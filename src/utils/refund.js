@@ -0,0 +1,286 @@
+import { Order } from "../models/order.model.js";
+import { PaymentIntent } from "../models/paymentIntent.model.js";
+import { CustomError } from "./customError.js";
+import { restoreStock } from "./inventory.js";
+import { getMinorUnits } from "./currency.js";
+import { roundMoney } from "./pricing.js";
+import { findPaymentByStripeIntent } from "./payment.js";
+import { createRefund, listRefunds } from "./paymentProvider.js";
+import { runInTransaction } from "./transaction.js";
+import { notifyOrderEvent } from "./orderEvents.js";
+
+// refunds that did not go through don't count towards the refunded amount
+const failedRefundStatuses = ["failed", "canceled"];
+
+// total of the refund ledger (a refund is counted once, even if recorded twice)
+// -----------------------------------------------------------------------------
+const getRefundedTotal = (paymentIntent) => {
+  const seen = new Set();
+  let total = 0;
+  for (const refund of paymentIntent.refunds) {
+    if (failedRefundStatuses.includes(refund.status)) continue;
+    if (refund.refundId) {
+      if (seen.has(refund.refundId)) continue;
+      seen.add(refund.refundId);
+    }
+    total += refund.amount;
+  }
+  return roundMoney(total, paymentIntent.currency);
+};
+
+// refunded amount and payment status of the payment and its order (does not save)
+// -------------------------------------------------------------------------------
+const applyRefundStatus = (paymentIntent, order) => {
+  paymentIntent.refundedAmount = getRefundedTotal(paymentIntent);
+
+  let status = null;
+  if (paymentIntent.refundedAmount >= paymentIntent.totalAmount) {
+    status = "refunded";
+  } else if (paymentIntent.refundedAmount > 0) {
+    status = "partially_refunded";
+  }
+  if (!status) return;
+
+  paymentIntent.status = status;
+  if (order) order.paymentStatus = status;
+};
+
+// quantity of every order item already refunded
+// ---------------------------------------------
+const getRefundedQuantities = (paymentIntent) => {
+  const refunded = {};
+  for (const refund of paymentIntent.refunds) {
+    if (failedRefundStatuses.includes(refund.status)) continue;
+    for (const item of refund.items) {
+      const key = item.orderItem.toString();
+      refunded[key] = (refunded[key] || 0) + item.quantity;
+    }
+  }
+  return refunded;
+};
+
+// validate the order items of a per item refund
+// ---------------------------------------------
+const buildRefundItems = (order, paymentIntent, items) => {
+  const refunded = getRefundedQuantities(paymentIntent);
+
+  const refundItems = [];
+  for (const requested of items) {
+    const orderItem = order.items.find(
+      (item) => item._id.toString() === String(requested?.orderItem)
+    );
+    if (!orderItem) {
+      throw new CustomError(400, `Order item ${requested?.orderItem} not found`);
+    }
+
+    const refundable = orderItem.quantity - (refunded[orderItem._id.toString()] || 0);
+    const quantity = parseInt(requested.quantity);
+    if (!quantity || quantity < 1 || quantity > refundable) {
+      throw new CustomError(
+        400,
+        `Invalid quantity for ${orderItem.name}, ${refundable} can be refunded`
+      );
+    }
+
+    refundItems.push({
+      orderItem: orderItem._id,
+      product: orderItem.product,
+      name: orderItem.name,
+      quantity,
+    });
+  }
+
+  return refundItems;
+};
+
+// amount the customer paid for some order items
+// (the order discount is spread like the tax, exclusive tax is added back)
+// ------------------------------------------------------------------------
+const getItemsRefundAmount = (order, items) => {
+  const discountRatio =
+    order.subtotal > 0 ? (order.discountAmount || 0) / order.subtotal : 0;
+
+  const amount = items.reduce((sum, item) => {
+    const orderItem = order.items.id(item.orderItem);
+    if (!orderItem) return sum;
+    const lineTotal = orderItem.price * item.quantity * (1 - discountRatio);
+    const lineTax =
+      !order.pricesIncludeTax && orderItem.taxAmount
+        ? (orderItem.taxAmount * item.quantity) / orderItem.quantity
+        : 0;
+    return sum + lineTotal + lineTax;
+  }, 0);
+
+  return roundMoney(amount, order.currency);
+};
+
+// refund (part of) the payment of an order
+// (online payments are refunded through stripe, cash on delivery refunds are
+// handed back manually and only recorded; without amount and items the whole
+// remaining payment is refunded, with items their paid price is)
+// ----------------------------------------------------------------------------
+const refundOrderPayment = async (
+  order,
+  { amount, items, restock = false, reason, source = "admin", returnRequest, createdBy } = {}
+) => {
+  let paymentIntent = await PaymentIntent.findOne({ order: order._id });
+  if (!paymentIntent) {
+    throw new CustomError(404, "Payment not found for this order");
+  }
+
+  const isOnline = order.paymentMethod === "online";
+  const paid = ["paid", "partially_refunded"].includes(paymentIntent.status);
+  // cash is collected on delivery, even if nobody marked the payment paid yet
+  if (!paid && (isOnline || order.status !== "delivered")) {
+    throw new CustomError(400, "Only paid orders can be refunded");
+  }
+
+  const refundItems = items?.length ? buildRefundItems(order, paymentIntent, items) : [];
+  const refundable = roundMoney(
+    paymentIntent.totalAmount - getRefundedTotal(paymentIntent),
+    order.currency
+  );
+
+  if (amount === undefined || amount === null || amount === "") {
+    amount = refundItems.length ? getItemsRefundAmount(order, refundItems) : refundable;
+  }
+  amount = roundMoney(Math.min(parseFloat(amount), refundable), order.currency);
+  if (!amount || amount <= 0) {
+    throw new CustomError(400, `Refund amount must be between 0 and ${refundable}`);
+  }
+
+  if (restock && !refundItems.length) {
+    throw new CustomError(400, "Please provide the items to restock");
+  }
+
+  // reserve the amount on the ledger before any money moves: a pending entry
+  // counts as refunded, so parallel refunds can't spend the same remainder
+  const entry = paymentIntent.refunds.create({
+    method: isOnline ? "stripe" : "manual",
+    amount,
+    status: "pending",
+    reason,
+    items: refundItems,
+    restocked: restock,
+    source,
+    returnRequest,
+    createdBy,
+  });
+  const reserved = await PaymentIntent.updateOne(
+    {
+      _id: paymentIntent._id,
+      refunds: { $size: paymentIntent.refunds.length },
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ["$refundedAmount", 0] }, amount] },
+          { $add: ["$totalAmount", 0.5 / 10 ** getMinorUnits(order.currency)] },
+        ],
+      },
+    },
+    { $push: { refunds: entry.toObject() }, $inc: { refundedAmount: amount } }
+  );
+  if (!reserved.modifiedCount) {
+    throw new CustomError(
+      409,
+      "Another refund of this payment was recorded in the meantime, please try again"
+    );
+  }
+
+  let response = null;
+  if (isOnline) {
+    response = await createRefund(paymentIntent.intentId, amount, {
+      orderId: order._id.toString(),
+      paymentId: paymentIntent._id.toString(),
+      refundEntryId: entry._id.toString(),
+      ...(returnRequest ? { returnId: returnRequest.toString() } : {}),
+    });
+    if (!response.success) {
+      // nothing was refunded, give the reservation back
+      await PaymentIntent.updateOne(
+        { _id: paymentIntent._id, "refunds._id": entry._id },
+        { $pull: { refunds: { _id: entry._id } }, $inc: { refundedAmount: -amount } }
+      );
+      throw new CustomError(502, response.error);
+    }
+  }
+
+  // the charge.refunded webhook may have recorded the refund in the meantime
+  paymentIntent = await PaymentIntent.findById(paymentIntent._id);
+  const saved = paymentIntent.refunds.id(entry._id);
+  if (response) {
+    paymentIntent.stripePaymentIntentId = response.paymentIntentId;
+    if (!saved.refundId) {
+      saved.refundId = response.refundId;
+      saved.status = response.status;
+    }
+  } else {
+    saved.status = "succeeded";
+  }
+  applyRefundStatus(paymentIntent, order);
+
+  await runInTransaction(async (session) => {
+    if (restock) await restoreStock(refundItems, session);
+    await paymentIntent.save({ session });
+    await order.save({ session });
+  });
+
+  notifyOrderEvent("refunded", order, { refundAmount: amount });
+  return saved;
+};
+
+// bring the refund ledger in line with stripe (charge.refunded webhook),
+// picking up refunds made from the stripe dashboard as well
+// ----------------------------------------------------------------------
+const syncStripeRefunds = async (charge) => {
+  const paymentIntent = await findPaymentByStripeIntent(charge.payment_intent);
+  if (!paymentIntent) return null;
+
+  const result = await listRefunds(charge.payment_intent);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  // refunds made outside the app (stripe dashboard) are new to the customer too
+  let newRefundAmount = 0;
+  for (const stripeRefund of result.refunds) {
+    // refunds made by the app are matched on the ledger entry that reserved them
+    const recorded = paymentIntent.refunds.find(
+      (refund) =>
+        refund.refundId === stripeRefund.refundId ||
+        (!refund.refundId && refund._id.toString() === stripeRefund.metadata?.refundEntryId)
+    );
+    if (recorded) {
+      recorded.refundId = stripeRefund.refundId;
+      recorded.status = stripeRefund.status;
+    } else {
+      if (!failedRefundStatuses.includes(stripeRefund.status)) {
+        newRefundAmount += stripeRefund.amount;
+      }
+      paymentIntent.refunds.push({
+        refundId: stripeRefund.refundId,
+        method: "stripe",
+        amount: stripeRefund.amount,
+        status: stripeRefund.status,
+        reason: stripeRefund.reason,
+        source: "stripe",
+      });
+    }
+  }
+
+  const order = await Order.findById(paymentIntent.order);
+  applyRefundStatus(paymentIntent, order);
+  await paymentIntent.save();
+  if (order) await order.save();
+  if (order && newRefundAmount > 0) {
+    notifyOrderEvent("refunded", order, { refundAmount: newRefundAmount });
+  }
+
+  return paymentIntent;
+};
+
+export {
+  getRefundedTotal,
+  getItemsRefundAmount,
+  refundOrderPayment,
+  syncStripeRefunds,
+};
@@ -0,0 +1,117 @@
+import { getEnv } from "../configs/config.js";
+import { ReturnRequest } from "../models/returnRequest.model.js";
+import { CustomError } from "./customError.js";
+
+// allowed return request status transitions
+// -----------------------------------------
+const returnStatusTransitions = Object.freeze({
+  requested: ["approved", "rejected"],
+  approved: ["received"],
+  received: ["refunded"],
+  // held while the refund of a received return is issued (see refundReturn)
+  refunding: [],
+  rejected: [],
+  refunded: [],
+});
+
+// record a status change on the return history and apply it (does not save)
+// -------------------------------------------------------------------------
+const changeReturnStatus = (returnRequest, to, { changedBy, role = "admin", note } = {}) => {
+  if (!returnStatusTransitions[returnRequest.status]?.includes(to)) {
+    throw new CustomError(
+      400,
+      `Cannot change return status from ${returnRequest.status} to ${to}`
+    );
+  }
+  returnRequest.history.push({
+    from: returnRequest.status,
+    to,
+    changedBy,
+    role,
+    note,
+    changedAt: new Date(),
+  });
+  returnRequest.status = to;
+};
+
+// date the order was delivered, from its status history
+// ------------------------------------------------------
+const getDeliveredAt = (order) =>
+  order.statusHistory?.find((entry) => entry.to === "delivered")?.changedAt ||
+  order.updatedAt;
+
+// quantity of every order item already in an open or finished return
+// ------------------------------------------------------------------
+const getReturnedQuantities = async (orderId) => {
+  const returns = await ReturnRequest.find({
+    order: orderId,
+    status: { $ne: "rejected" },
+  }).select("items");
+
+  const returned = {};
+  for (const returnRequest of returns) {
+    for (const item of returnRequest.items) {
+      const key = item.orderItem.toString();
+      returned[key] = (returned[key] || 0) + item.quantity;
+    }
+  }
+  return returned;
+};
+
+// validate the items a customer wants to return from a delivered order
+// --------------------------------------------------------------------
+const buildReturnItems = async (order, items) => {
+  if (order.status !== "delivered") {
+    throw new CustomError(400, "Only delivered orders can be returned");
+  }
+
+  const windowDays = Number(getEnv("RETURN_WINDOW_DAYS"));
+  const deadline = new Date(getDeliveredAt(order).getTime() + windowDays * 24 * 60 * 60 * 1000);
+  if (deadline < new Date()) {
+    throw new CustomError(400, `Returns are only accepted within ${windowDays} days of delivery`);
+  }
+
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    throw new CustomError(400, "Please provide the items to return");
+  }
+
+  const returned = await getReturnedQuantities(order._id);
+
+  const returnItems = [];
+  for (const requested of items) {
+    const orderItem = order.items.find(
+      (item) => item._id.toString() === String(requested?.orderItem)
+    );
+    if (!orderItem) {
+      throw new CustomError(400, `Order item ${requested?.orderItem} not found`);
+    }
+    if (returnItems.some((item) => item.orderItem.equals(orderItem._id))) {
+      throw new CustomError(400, `${orderItem.name} is listed more than once`);
+    }
+
+    const returnable = orderItem.quantity - (returned[orderItem._id.toString()] || 0);
+    const quantity = parseInt(requested.quantity);
+    if (!quantity || quantity < 1 || quantity > returnable) {
+      throw new CustomError(
+        400,
+        `Invalid quantity for ${orderItem.name}, ${returnable} can be returned`
+      );
+    }
+
+    returnItems.push({
+      orderItem: orderItem._id,
+      product: orderItem.product,
+      name: orderItem.name,
+      price: orderItem.price,
+      quantity,
+    });
+  }
+
+  return returnItems;
+};
+
+export {
+  returnStatusTransitions,
+  changeReturnStatus,
+  buildReturnItems,
+};
@@ -0,0 +1,210 @@
+import { Order } from "../models/order.model.js";
+import { CustomError } from "./customError.js";
+import { notifyOrderEvent } from "./orderEvents.js";
+import { addStatusHistory, isPaid, transitionOrderStatus } from "./orderStatus.js";
+import { runInTransaction } from "./transaction.js";
+
+// quantity of every order item already put in a shipment
+// ------------------------------------------------------
+const getShippedQuantities = (order) => {
+  const shipped = {};
+  for (const shipment of order.shipments || []) {
+    for (const item of shipment.items) {
+      const key = item.orderItem.toString();
+      shipped[key] = (shipped[key] || 0) + item.quantity;
+    }
+  }
+  return shipped;
+};
+
+// ordered / shipped / remaining quantities per order item
+// -------------------------------------------------------
+const getFulfillmentSummary = (order) => {
+  const shipped = getShippedQuantities(order);
+  return order.items.map((item) => {
+    const shippedQuantity = shipped[item._id.toString()] || 0;
+    return {
+      orderItem: item._id,
+      product: item.product,
+      name: item.name,
+      ordered: item.quantity,
+      shipped: shippedQuantity,
+      remaining: Math.max(item.quantity - shippedQuantity, 0),
+    };
+  });
+};
+
+const isFullyShipped = (order) =>
+  getFulfillmentSummary(order).every((item) => item.remaining === 0);
+
+// split (part of) an order into a new shipment, the order status follows:
+// confirmed -> processing on the first shipment, shipped once nothing is left
+// (the order is read again inside the transaction: a parallel shipment of the
+// same order conflicts, is retried and sees the quantities already shipped)
+// ---------------------------------------------------------------------------
+const createShipment = async (
+  order,
+  { carrier, trackingNumber, trackingUrl, items },
+  { changedBy, note } = {}
+) => {
+  if (!carrier) {
+    throw new CustomError(400, "Please provide the carrier");
+  }
+
+  const current = await runInTransaction(async (session) => {
+    const current = await Order.findById(order._id).session(session);
+    if (!current) {
+      throw new CustomError(404, "Order not found");
+    }
+
+    if (!["confirmed", "processing"].includes(current.status)) {
+      throw new CustomError(400, `Cannot ship an order that is ${current.status}`);
+    }
+
+    if (current.paymentMethod === "online" && !isPaid(current)) {
+      throw new CustomError(400, "Online orders must be paid before they are shipped");
+    }
+
+    const summary = getFulfillmentSummary(current);
+
+    // without items the shipment takes everything that is left
+    const requestedItems = items?.length
+      ? items
+      : summary
+          .filter((item) => item.remaining > 0)
+          .map((item) => ({ orderItem: item.orderItem, quantity: item.remaining }));
+
+    const shipmentItems = [];
+    for (const requested of requestedItems) {
+      const line = summary.find(
+        (item) => item.orderItem.toString() === String(requested.orderItem)
+      );
+      if (!line) {
+        throw new CustomError(400, `Order item ${requested.orderItem} not found`);
+      }
+      const quantity = parseInt(requested.quantity);
+      if (!quantity || quantity < 1 || quantity > line.remaining) {
+        throw new CustomError(
+          400,
+          `Invalid quantity for ${line.name}, ${line.remaining} left to ship`
+        );
+      }
+      shipmentItems.push({
+        orderItem: line.orderItem,
+        product: line.product,
+        name: line.name,
+        quantity,
+      });
+    }
+
+    if (!shipmentItems.length) {
+      throw new CustomError(400, "Nothing left to ship for this order");
+    }
+
+    current.shipments.push({
+      carrier,
+      trackingNumber,
+      trackingUrl,
+      items: shipmentItems,
+      status: "shipped",
+      shippedAt: new Date(),
+      createdBy: changedBy,
+    });
+
+    // first shipment starts processing the order
+    if (current.status === "confirmed") {
+      addStatusHistory(current, "processing", {
+        changedBy,
+        role: "admin",
+        note: "First shipment created",
+      });
+      current.status = "processing";
+    }
+
+    if (isFullyShipped(current)) {
+      addStatusHistory(current, "shipped", { changedBy, role: "admin", note });
+      current.status = "shipped";
+    }
+
+    await current.save({ session });
+    return current;
+  });
+
+  order.init(current.toObject());
+
+  // the customer hears about it once the order committed
+  if (order.status === "shipped") {
+    notifyOrderEvent("shipped", order);
+  }
+
+  return order.shipments[order.shipments.length - 1];
+};
+
+// mark a shipment delivered, the order is delivered once every item arrived
+// -------------------------------------------------------------------------
+const markShipmentDelivered = async (order, shipmentId, { changedBy, note } = {}) => {
+  const shipment = order.shipments.id(shipmentId);
+  if (!shipment) {
+    throw new CustomError(404, "Shipment not found");
+  }
+
+  if (shipment.status === "delivered") {
+    throw new CustomError(400, "Shipment is already delivered");
+  }
+
+  shipment.status = "delivered";
+  shipment.deliveredAt = new Date();
+
+  const allDelivered =
+    order.status === "shipped" &&
+    order.shipments.every((shipment) => shipment.status === "delivered");
+
+  if (allDelivered) {
+    await transitionOrderStatus(order, "delivered", { changedBy, role: "admin", note });
+  } else {
+    await order.save();
+  }
+
+  return shipment;
+};
+
+// deliver the whole order, closing every open shipment
+// ----------------------------------------------------
+const deliverOrder = async (order, { changedBy, note } = {}) => {
+  for (const shipment of order.shipments) {
+    if (shipment.status === "delivered") continue;
+    shipment.status = "delivered";
+    shipment.deliveredAt = new Date();
+  }
+  await transitionOrderStatus(order, "delivered", { changedBy, role: "admin", note });
+  return order;
+};
+
+// customer facing tracking info
+// -----------------------------
+const buildTrackingInfo = (order) => ({
+  orderNumber: order.orderNumber,
+  status: order.status,
+  shipments: (order.shipments || []).map((shipment) => ({
+    _id: shipment._id,
+    carrier: shipment.carrier,
+    trackingNumber: shipment.trackingNumber,
+    trackingUrl: shipment.trackingUrl,
+    status: shipment.status,
+    shippedAt: shipment.shippedAt,
+    deliveredAt: shipment.deliveredAt,
+    items: shipment.items.map((item) => ({
+      name: item.name,
+      quantity: item.quantity,
+    })),
+  })),
+  items: getFulfillmentSummary(order),
+});
+
+export {
+  getFulfillmentSummary,
+  createShipment,
+  markShipmentDelivered,
+  deliverOrder,
+  buildTrackingInfo,
+};
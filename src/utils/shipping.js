@@ -0,0 +1,106 @@
+import { ShippingZone } from "../models/shippingZone.model.js";
+import { CustomError } from "./customError.js";
+import { roundMoney } from "./pricing.js";
+
+const sameText = (a, b) =>
+  String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+// find the most specific active zone for an address
+// (country + state, then whole country, then the catch all zone)
+// ---------------------------------------------------------------
+const findShippingZone = async (address) => {
+  const zones = await ShippingZone.find({ isActive: true }).sort({ createdAt: 1 });
+  if (!zones.length) return { zone: null, hasZones: false };
+
+  const coversCountry = (zone) =>
+    zone.countries.some((country) => sameText(country, address?.country));
+
+  const zone =
+    zones.find(
+      (zone) =>
+        coversCountry(zone) &&
+        zone.states.some((state) => sameText(state, address?.state))
+    ) ||
+    zones.find((zone) => coversCountry(zone) && zone.states.length === 0) ||
+    zones.find((zone) => zone.countries.length === 0);
+
+  return { zone: zone || null, hasZones: true };
+};
+
+// shipping cost of a method for the given items
+// ---------------------------------------------
+const calculateShippingCost = (method, orderItems, subtotal) => {
+  switch (method.type) {
+    case "weight": {
+      const totalWeight = orderItems.reduce(
+        (sum, item) => sum + (item.weight || 0) * item.quantity,
+        0
+      );
+      return roundMoney(method.rate + method.ratePerKg * totalWeight);
+    }
+    case "free_over":
+      return method.freeOverAmount !== undefined &&
+        subtotal >= method.freeOverAmount
+        ? 0
+        : roundMoney(method.rate);
+    case "flat":
+    default:
+      return roundMoney(method.rate);
+  }
+};
+
+// all shipping options available for an address
+// (no zones configured at all means shipping is free everywhere)
+// ---------------------------------------------------------------
+const getShippingOptions = async (address, orderItems, subtotal) => {
+  const { zone, hasZones } = await findShippingZone(address);
+  if (!hasZones) return { zone: null, options: null };
+  if (!zone) return { zone: null, options: [] };
+
+  const options = zone.methods
+    .filter((method) => method.isActive)
+    .map((method) => ({
+      methodId: method._id,
+      name: method.name,
+      type: method.type,
+      cost: calculateShippingCost(method, orderItems, subtotal),
+      estimatedDelivery: method.estimatedDelivery,
+    }))
+    .sort((a, b) => a.cost - b.cost);
+
+  return { zone, options };
+};
+
+// resolve the shipping method chosen at checkout
+// (falls back to the cheapest option when none is chosen)
+// --------------------------------------------------------
+const selectShippingMethod = async (address, orderItems, subtotal, methodId) => {
+  const { zone, options } = await getShippingOptions(address, orderItems, subtotal);
+  if (!options) return { shipping: undefined, cost: 0 };
+
+  if (!options.length) {
+    throw new CustomError(400, "Shipping is not available for this address");
+  }
+
+  const option = methodId
+    ? options.find((option) => option.methodId.toString() === String(methodId))
+    : options[0];
+  if (!option) {
+    throw new CustomError(400, "Invalid shipping method for this address");
+  }
+
+  return {
+    shipping: {
+      zone: zone._id,
+      zoneName: zone.name,
+      method: option.methodId,
+      methodName: option.name,
+      type: option.type,
+      cost: option.cost,
+      estimatedDelivery: option.estimatedDelivery,
+    },
+    cost: option.cost,
+  };
+};
+
+export { findShippingZone, getShippingOptions, selectShippingMethod };
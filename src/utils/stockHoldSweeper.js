@@ -0,0 +1,67 @@
+import { getEnv } from "../configs/config.js";
+import { Order } from "../models/order.model.js";
+import { PaymentIntent } from "../models/paymentIntent.model.js";
+import { failOrderPayment } from "./payment.js";
+import { closeCheckoutSession } from "./paymentProvider.js";
+
+let isSweeping = false;
+
+// expiry time for a new stock hold
+// --------------------------------
+export const getStockHoldExpiry = () =>
+  new Date(Date.now() + Number(getEnv("STOCK_HOLD_MINUTES")) * 60 * 1000);
+
+// cancel unpaid online orders whose stock hold has expired
+// --------------------------------------------------------
+export const releaseExpiredStockHolds = async () => {
+  const expiredOrders = await Order.find({
+    paymentMethod: "online",
+    status: "pending",
+    paymentStatus: "pending",
+    reservationExpiresAt: { $lte: new Date() },
+  }).limit(100);
+
+  let released = 0;
+  for (const order of expiredOrders) {
+    try {
+      const paymentIntent = await PaymentIntent.findOne({ order: order._id });
+      if (paymentIntent && paymentIntent.status !== "pending") continue;
+
+      if (paymentIntent && !(await closeCheckoutSession(paymentIntent.intentId)))
+        continue;
+
+      const cancelled = await failOrderPayment(order, paymentIntent, {
+        note: "Payment window expired",
+      });
+      if (cancelled) released++;
+    } catch (error) {
+      console.error(`Error releasing stock hold of order ${order._id}:`, error);
+    }
+  }
+
+  if (released) console.log(`Released stock of ${released} expired orders`);
+  return released;
+};
+
+// run the sweeper in the background
+// ---------------------------------
+export const initStockHoldSweeper = () => {
+  const interval =
+    Number(getEnv("STOCK_HOLD_SWEEP_INTERVAL_SECONDS")) * 1000;
+
+  const timer = setInterval(async () => {
+    if (isSweeping) return;
+    isSweeping = true;
+    try {
+      await releaseExpiredStockHolds();
+    } catch (error) {
+      console.error("Stock hold sweeper error:", error);
+    } finally {
+      isSweeping = false;
+    }
+  }, interval);
+  timer.unref();
+
+  console.log("Stock hold sweeper initialized");
+  return timer;
+};
@@ -1,8 +1,14 @@
 import Stripe from 'stripe';
 import { getEnv } from '../configs/config.js';
+import { fromMinorUnits, toMinorUnits } from './currency.js';
 
-// Initialize Stripe with secret key
-const stripe = new Stripe(getEnv('STRIPE_SECRET_KEY'));
+// Initialize Stripe with secret key on first use, so the app also runs
+// without stripe keys when another payment provider is configured
+let stripeClient;
+const getStripe = () => {
+  if (!stripeClient) stripeClient = new Stripe(getEnv('STRIPE_SECRET_KEY'));
+  return stripeClient;
+};
 
 /**
  * Create a Stripe checkout session
@@ -10,33 +16,97 @@ const stripe = new Stripe(getEnv('STRIPE_SECRET_KEY'));
  * @param {string} successUrl - URL to redirect on successful payment
  * @param {string} cancelUrl - URL to redirect on cancelled payment
  * @param {Object} metadata - Additional metadata for the session
+ * @param {Object} options - Extra session options
+ * @param {string} options.currency - Currency of every amount (store currency, USD when empty)
+ * @param {Date} options.expiresAt - When the session should expire (clamped to Stripe's 30 min - 24 h window)
+ * @param {Object} options.discount - Order level discount ({ code, amount }) applied as a one-off Stripe coupon
+ * @param {Object} options.shipping - Shipping charge ({ name, amount }) added as its own line item
+ * @param {Object} options.tax - Tax charge ({ amount }) added as its own line item (tax exclusive prices)
  * @returns {Object} - Returns session URL and status
  */
-const createCheckoutSession = async (items, successUrl, cancelUrl, metadata = {}) => {
+const createCheckoutSession = async (items, successUrl, cancelUrl, metadata = {}, options = {}) => {
   try {
     console.log("metadata", metadata);
     console.log("creating checkout session");
+    const currency = (options.currency || 'USD').toLowerCase();
     // Transform items to Stripe format
     const lineItems = items.map(item => ({
       price_data: {
-        currency: 'usd',
+        currency,
         product_data: {
           name: item.name,
           images: item.image ? [item.image] : [],
+          // show the promotion when the item is charged below its list price
+          description: item.discount > 0
+            ? `${item.promotion === 'flash_sale' ? 'Flash sale' : 'Discounted'} price (was ${item.listPrice})`
+            : undefined,
         },
-        unit_amount: Math.round(item.price * 100), // Convert to cents
+        unit_amount: toMinorUnits(item.price, currency), // Convert to the smallest currency unit
       },
       quantity: item.quantity,
     }));
+
+    // Shipping is charged as a separate line item
+    if (options.shipping?.amount > 0) {
+      lineItems.push({
+        price_data: {
+          currency,
+          product_data: {
+            name: `Shipping - ${options.shipping.name}`,
+          },
+          unit_amount: toMinorUnits(options.shipping.amount, currency),
+        },
+        quantity: 1,
+      });
+    }
+
+    // Tax on top of the prices is charged as a separate line item
+    if (options.tax?.amount > 0) {
+      lineItems.push({
+        price_data: {
+          currency,
+          product_data: {
+            name: 'Tax',
+          },
+          unit_amount: toMinorUnits(options.tax.amount, currency),
+        },
+        quantity: 1,
+      });
+    }
     console.log("lineItems", lineItems);
 
+    // Stripe only accepts an expiry between 30 minutes and 24 hours from now
+    let expiresAt;
+    if (options.expiresAt) {
+      const now = Math.floor(Date.now() / 1000);
+      expiresAt = Math.min(
+        Math.max(Math.floor(new Date(options.expiresAt).getTime() / 1000), now + 30 * 60 + 60),
+        now + 24 * 60 * 60 - 60
+      );
+    }
+
+    // Order level discounts (coupon codes) become a single use Stripe coupon
+    let discounts;
+    if (options.discount?.amount > 0) {
+      const coupon = await getStripe().coupons.create({
+        amount_off: toMinorUnits(options.discount.amount, currency),
+        currency,
+        duration: 'once',
+        max_redemptions: 1,
+        name: options.discount.code,
+      });
+      discounts = [{ coupon: coupon.id }];
+    }
+
     // Create checkout session
-    const session = await stripe.checkout.sessions.create({
+    const session = await getStripe().checkout.sessions.create({
       payment_method_types: ['card'],
       line_items: lineItems,
       mode: 'payment',
       success_url: successUrl,
       cancel_url: cancelUrl,
+      expires_at: expiresAt,
+      discounts,
       metadata: {
         ...metadata,
       },
@@ -61,6 +131,19 @@ const createCheckoutSession = async (items, successUrl, cancelUrl, metadata = {}
   }
 };
 
+// fields of a checkout session the app works with
+const formatSession = (session) => ({
+  id: session.id,
+  payment_status: session.payment_status,
+  status: session.status,
+  customer_email: session.customer_details?.email,
+  amount_total: session.amount_total,
+  currency: session.currency,
+  payment_intent: session.payment_intent,
+  metadata: session.metadata,
+  created: session.created,
+});
+
 /**
  * Retrieve a checkout session by ID
  * @param {string} sessionId - Stripe session ID
@@ -68,18 +151,11 @@ const createCheckoutSession = async (items, successUrl, cancelUrl, metadata = {}
  */
 const retrieveCheckoutSession = async (sessionId) => {
   try {
-    const session = await stripe.checkout.sessions.retrieve(sessionId);
+    const session = await getStripe().checkout.sessions.retrieve(sessionId);
 
     return {
       success: true,
-      session: {
-        id: session.id,
-        payment_status: session.payment_status,
-        status: session.status,
-        customer_email: session.customer_details?.email,
-        amount_total: session.amount_total,
-        currency: session.currency,
-      }
+      session: formatSession(session),
     };
 
   } catch (error) {
@@ -91,6 +167,168 @@ const retrieveCheckoutSession = async (sessionId) => {
   }
 };
 
+/**
+ * List checkout sessions created since a date
+ * @param {Date} createdAfter - Oldest session creation date
+ * @param {number} max - Maximum number of sessions to fetch
+ * @returns {Object} - Sessions, newest first
+ */
+const listCheckoutSessions = async (createdAfter, max = 1000) => {
+  try {
+    const sessions = await getStripe().checkout.sessions
+      .list({
+        created: { gte: Math.floor(createdAfter.getTime() / 1000) },
+        limit: 100,
+      })
+      .autoPagingToArray({ limit: max });
+
+    return {
+      success: true,
+      sessions: sessions.map(formatSession),
+    };
+
+  } catch (error) {
+    console.error('Stripe session list error:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Expire an open checkout session so it can no longer be paid
+ * @param {string} sessionId - Stripe session ID
+ * @returns {Object} - Expiry result
+ */
+const expireCheckoutSession = async (sessionId) => {
+  try {
+    const session = await getStripe().checkout.sessions.expire(sessionId);
+
+    return {
+      success: true,
+      status: session.status,
+    };
+
+  } catch (error) {
+    console.error('Stripe session expiry error:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Refund (part of) the payment made through a checkout session
+ * @param {string} sessionId - Stripe session ID
+ * @param {number} amount - Amount to refund (whole payment when empty)
+ * @param {Object} metadata - Additional metadata for the refund
+ * @returns {Object} - Refund details
+ */
+const createRefund = async (sessionId, amount, metadata = {}) => {
+  try {
+    const session = await getStripe().checkout.sessions.retrieve(sessionId);
+    if (!session.payment_intent) {
+      return {
+        success: false,
+        error: 'No payment found for this checkout session',
+      };
+    }
+
+    const refund = await getStripe().refunds.create({
+      payment_intent: session.payment_intent,
+      amount: amount ? toMinorUnits(amount, session.currency) : undefined, // Convert to the smallest currency unit
+      reason: 'requested_by_customer',
+      metadata: {
+        ...metadata,
+      },
+    });
+
+    return {
+      success: true,
+      refundId: refund.id,
+      amount: fromMinorUnits(refund.amount, refund.currency),
+      status: refund.status,
+      paymentIntentId: session.payment_intent,
+    };
+
+  } catch (error) {
+    console.error('Stripe refund error:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Find the checkout session that created a payment
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @returns {Object} - Session details
+ */
+const findCheckoutSessionByPaymentIntent = async (paymentIntentId) => {
+  try {
+    const sessions = await getStripe().checkout.sessions.list({
+      payment_intent: paymentIntentId,
+      limit: 1,
+    });
+
+    return {
+      success: true,
+      session: sessions.data[0] || null,
+    };
+
+  } catch (error) {
+    console.error('Stripe session lookup error:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * List every refund of a payment
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @returns {Object} - Refunds of the payment
+ */
+const listRefunds = async (paymentIntentId) => {
+  try {
+    const refunds = await getStripe().refunds.list({
+      payment_intent: paymentIntentId,
+      limit: 100,
+    });
+
+    return {
+      success: true,
+      refunds: refunds.data.map((refund) => ({
+        refundId: refund.id,
+        amount: fromMinorUnits(refund.amount, refund.currency),
+        status: refund.status,
+        reason: refund.reason,
+        metadata: refund.metadata,
+      })),
+    };
+
+  } catch (error) {
+    console.error('Stripe refund list error:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Verify the signature of a webhook delivery and parse its event
+ * @param {Buffer} payload - Raw request body
+ * @param {string} signature - Value of the stripe-signature header
+ * @returns {Object} - Stripe event (throws when the signature is invalid)
+ */
+const constructWebhookEvent = (payload, signature) =>
+  getStripe().webhooks.constructEvent(payload, signature, getEnv('STRIPE_WEBHOOK_SECRET'));
+
 /**
  * Handle Stripe webhook events
  * @param {string} eventType - The type of webhook event
@@ -136,9 +374,29 @@ const handleWebhookEvent = async (eventType, eventData) => {
   }
 };
 
+// stripe behind the payment provider interface (see utils/paymentProvider.js)
+const stripeProvider = Object.freeze({
+  name: 'stripe',
+  createCheckoutSession,
+  retrieveCheckoutSession,
+  listCheckoutSessions,
+  expireCheckoutSession,
+  createRefund,
+  findCheckoutSessionByPaymentIntent,
+  listRefunds,
+  constructWebhookEvent,
+});
+
 export {
   createCheckoutSession,
   retrieveCheckoutSession,
+  listCheckoutSessions,
+  expireCheckoutSession,
+  createRefund,
+  findCheckoutSessionByPaymentIntent,
+  listRefunds,
+  constructWebhookEvent,
   handleWebhookEvent,
-  stripe // Export stripe instance if needed elsewhere
+  stripeProvider,
+  getStripe // Export stripe client if needed elsewhere
 };
\ No newline at end of file
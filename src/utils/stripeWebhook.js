@@ -0,0 +1,130 @@
+import { Order } from "../models/order.model.js";
+import { fromMinorUnits } from "./currency.js";
+import { PaymentIntent } from "../models/paymentIntent.model.js";
+import { failOrderPayment, findPaymentByStripeIntent, markPaymentPaid } from "./payment.js";
+import { refundOrderPayment, syncStripeRefunds } from "./refund.js";
+
+// payment of a checkout session, with its order
+// ---------------------------------------------
+const findSessionPayment = async (session) => {
+  const paymentIntent = await PaymentIntent.findOne({ intentId: session.id });
+  if (!paymentIntent) {
+    console.log("Payment intent not found for session:", session.id);
+    return {};
+  }
+  const order = await Order.findById(paymentIntent.order);
+  if (!order) {
+    console.log("Order not found:", paymentIntent.order);
+    return {};
+  }
+  return { paymentIntent, order };
+};
+
+// a checkout session got its money
+// (an order cancelled before the payment arrived has no stock anymore,
+// the customer gets the money back)
+// ---------------------------------------------------------------------
+const handleSessionPaid = async (session) => {
+  const { paymentIntent, order } = await findSessionPayment(session);
+  if (!paymentIntent) return;
+
+  const totalAmount = parseFloat(session.metadata?.totalAmount) || undefined;
+  const { alreadyPaid } = await markPaymentPaid(paymentIntent, {
+    totalAmount,
+    stripePaymentIntentId: session.payment_intent,
+  });
+  if (alreadyPaid || order.status !== "cancelled") return;
+
+  const paidOrder = await Order.findById(order._id);
+  await refundOrderPayment(paidOrder, {
+    reason: "Order was cancelled before the payment arrived",
+    source: "stripe",
+  });
+};
+
+// a checkout session is no longer open without being paid
+// --------------------------------------------------------
+const handleSessionFailed = async (session, note) => {
+  const { paymentIntent, order } = await findSessionPayment(session);
+  if (!paymentIntent || paymentIntent.status !== "pending") return;
+
+  await failOrderPayment(order, paymentIntent, { note });
+};
+
+// handlers by stripe event type, each safe to run again for a redelivered event
+// -----------------------------------------------------------------------------
+const stripeEventHandlers = {
+  "checkout.session.completed": async (session) => {
+    if (session.payment_status === "unpaid") {
+      // delayed payment methods (bank debits) report their result later,
+      // the stock stays on hold until then
+      const { order } = await findSessionPayment(session);
+      if (order && order.reservationExpiresAt) {
+        order.reservationExpiresAt = undefined;
+        await order.save();
+      }
+      return;
+    }
+    await handleSessionPaid(session);
+  },
+
+  "checkout.session.async_payment_succeeded": handleSessionPaid,
+
+  "checkout.session.async_payment_failed": (session) =>
+    handleSessionFailed(session, "Delayed payment failed"),
+
+  "checkout.session.expired": (session) =>
+    handleSessionFailed(session, "Checkout session expired"),
+
+  // a declined attempt, the customer can retry until the session expires
+  // (which then cancels the order)
+  "payment_intent.payment_failed": async (stripeIntent) => {
+    const paymentIntent = await findPaymentByStripeIntent(stripeIntent.id);
+    if (!paymentIntent || paymentIntent.status !== "pending") return;
+
+    paymentIntent.lastPaymentError = {
+      code: stripeIntent.last_payment_error?.code,
+      message: stripeIntent.last_payment_error?.message,
+      failedAt: new Date(),
+    };
+    await paymentIntent.save();
+  },
+
+  "charge.refunded": async (charge) => {
+    const paymentIntent = await syncStripeRefunds(charge);
+    if (!paymentIntent) {
+      console.log("Payment intent not found for charge:", charge.payment_intent);
+    }
+  },
+
+  "charge.dispute.created": async (dispute) => {
+    const paymentIntent = await findPaymentByStripeIntent(dispute.payment_intent);
+    if (!paymentIntent) {
+      console.log("Payment intent not found for dispute:", dispute.id);
+      return;
+    }
+    if (paymentIntent.disputes.some((entry) => entry.disputeId === dispute.id)) return;
+
+    paymentIntent.disputes.push({
+      disputeId: dispute.id,
+      amount: fromMinorUnits(dispute.amount, dispute.currency),
+      reason: dispute.reason,
+      status: dispute.status,
+      openedAt: new Date(dispute.created * 1000),
+    });
+    await paymentIntent.save();
+    console.log(`Dispute ${dispute.id} opened for payment ${paymentIntent._id}`);
+  },
+};
+
+// run the handler of a stripe event
+// (returns false for event types we don't handle)
+// -----------------------------------------------
+const handleStripeEvent = async (event) => {
+  const handler = stripeEventHandlers[event.type];
+  if (!handler) return false;
+  await handler(event.data.object);
+  return true;
+};
+
+export { stripeEventHandlers, handleStripeEvent };
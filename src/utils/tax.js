@@ -0,0 +1,92 @@
+import { Category } from "../models/category.model.js";
+import { TaxRule } from "../models/taxRule.model.js";
+import { roundMoney } from "./pricing.js";
+
+const sameText = (a, b) =>
+  String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+// tax class of every item category (categories are stored by title on products)
+// -----------------------------------------------------------------------------
+const getTaxClasses = async (orderItems) => {
+  const titles = [...new Set(orderItems.map((item) => item.category).filter(Boolean))];
+  if (!titles.length) return {};
+
+  // product categories are matched case insensitively, like the listing filters
+  const titlePatterns = titles.map(
+    (title) => new RegExp(`^${title.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, "i")
+  );
+  const categories = await Category.find({
+    title: { $in: titlePatterns },
+  }).select("title taxClass");
+
+  return categories.reduce((acc, category) => {
+    acc[category.title.toLowerCase()] = category.taxClass || "standard";
+    return acc;
+  }, {});
+};
+
+// most specific active rule for a destination and tax class
+// (a state rule wins over the country wide rule)
+// ----------------------------------------------------------
+const findTaxRule = (rules, address, taxClass) => {
+  const classRules = rules.filter(
+    (rule) => rule.taxClass === taxClass && sameText(rule.country, address?.country)
+  );
+  return (
+    classRules.find((rule) => rule.state && sameText(rule.state, address?.state)) ||
+    classRules.find((rule) => !rule.state) ||
+    null
+  );
+};
+
+// calculate tax of priced order items for a destination
+// (the order discount is spread over items by their share of the subtotal)
+// -------------------------------------------------------------------------
+const calculateTax = async (
+  address,
+  orderItems,
+  discount = 0,
+  pricesIncludeTax = false,
+  currency
+) => {
+  const rules = await TaxRule.find({ isActive: true });
+  const taxClasses = await getTaxClasses(orderItems);
+
+  const subtotal = orderItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const taxLines = {};
+  let taxAmount = 0;
+
+  const itemTaxes = orderItems.map((item) => {
+    const taxClass = taxClasses[item.category?.toLowerCase()] || "standard";
+    const rule = findTaxRule(rules, address, taxClass);
+    if (!rule || !rule.rate) return { taxClass, taxAmount: 0 };
+
+    const lineTotal = item.price * item.quantity;
+    const lineDiscount = subtotal > 0 ? (discount * lineTotal) / subtotal : 0;
+    const taxable = Math.max(lineTotal - lineDiscount, 0);
+    const tax = pricesIncludeTax
+      ? taxable - taxable / (1 + rule.rate / 100)
+      : (taxable * rule.rate) / 100;
+
+    const key = rule._id.toString();
+    if (!taxLines[key]) {
+      taxLines[key] = { taxRule: rule._id, name: rule.name, rate: rule.rate, taxClass, amount: 0 };
+    }
+    taxLines[key].amount += tax;
+    taxAmount += tax;
+
+    return { taxClass, taxAmount: roundMoney(tax, currency) };
+  });
+
+  return {
+    taxAmount: roundMoney(taxAmount, currency),
+    taxLines: Object.values(taxLines).map((line) => ({
+      ...line,
+      amount: roundMoney(line.amount, currency),
+    })),
+    itemTaxes,
+    pricesIncludeTax,
+  };
+};
+
+export { calculateTax };
@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// run a callback inside a mongodb transaction
+// (everything written with the given session commits or aborts together,
+// transient errors such as write conflicts are retried by the driver)
+// -------------------------------------------------------------------
+const runInTransaction = async (callback) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await callback(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+export { runInTransaction };
@@ -0,0 +1,85 @@
+import { WebhookEvent } from "../models/webhookEvent.model.js";
+import { getPaymentProvider } from "./paymentProvider.js";
+import { handleStripeEvent } from "./stripeWebhook.js";
+
+// a delivery stuck in processing this long is taken over by the next one
+// (the process handling it most likely died)
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// claim an event for processing, stripe retries and parallel deliveries of
+// an event that is processed (or being processed) get null
+// -------------------------------------------------------------------------
+const claimWebhookEvent = async (event) => {
+  try {
+    return await WebhookEvent.create({
+      eventId: event.id,
+      provider: getPaymentProvider().name,
+      type: event.type,
+      payload: event,
+      attempts: 1,
+      lastAttemptAt: new Date(),
+    });
+  } catch (error) {
+    if (error?.code !== 11000) throw error;
+  }
+
+  // seen before, only a failed or abandoned event runs again
+  return WebhookEvent.findOneAndUpdate(
+    {
+      eventId: event.id,
+      $or: [
+        { status: "failed" },
+        {
+          status: "processing",
+          lastAttemptAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) },
+        },
+      ],
+    },
+    {
+      $set: { status: "processing", lastAttemptAt: new Date() },
+      $inc: { attempts: 1 },
+    },
+    { new: true }
+  );
+};
+
+// run a claimed event and record the outcome (errors are rethrown)
+// ----------------------------------------------------------------
+const processWebhookEvent = async (record) => {
+  try {
+    const handled = await handleStripeEvent(record.payload);
+    record.status = handled ? "processed" : "ignored";
+    record.error = undefined;
+    record.processedAt = new Date();
+    await record.save();
+    return record;
+  } catch (error) {
+    record.status = "failed";
+    record.error = error.message;
+    await record.save();
+    throw error;
+  }
+};
+
+// run a failed event again on request of an admin
+// -----------------------------------------------
+const replayWebhookEvent = async (id) => {
+  const record = await WebhookEvent.findOneAndUpdate(
+    { _id: id, status: "failed" },
+    {
+      $set: { status: "processing", lastAttemptAt: new Date() },
+      $inc: { attempts: 1 },
+    },
+    { new: true }
+  );
+  if (!record) return null;
+
+  try {
+    await processWebhookEvent(record);
+  } catch (error) {
+    // the outcome is recorded on the event
+  }
+  return record;
+};
+
+export { claimWebhookEvent, processWebhookEvent, replayWebhookEvent };
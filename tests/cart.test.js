@@ -0,0 +1,63 @@
+import "./helpers/env.js";
+import request from "supertest";
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "@jest/globals";
+import { app } from "../src/app.js";
+import { Cart } from "../src/models/cart.model.js";
+import { Settings } from "../src/models/settings.model.js";
+import { clearTestDb, closeTestDb, connectTestDb } from "./helpers/db.js";
+import { authCookie, createProduct, createUser } from "./helpers/factories.js";
+
+describe("cart", () => {
+  beforeAll(connectTestDb);
+  afterAll(closeTestDb);
+
+  beforeEach(async () => {
+    await clearTestDb();
+    await Settings.getSettings();
+  });
+
+  it("merges the guest cart at login without going over the stock", async () => {
+    const customer = await createUser();
+    const limited = await createProduct({ stock: 5 });
+    const soldOut = await createProduct({ stock: 0 });
+    const plenty = await createProduct({ stock: 10 });
+
+    await Cart.create({ customer: customer._id, items: [{ product: limited._id, quantity: 3 }] });
+    await Cart.create({
+      guestId: "guest-cart",
+      items: [
+        { product: limited._id, quantity: 4 },
+        { product: soldOut._id, quantity: 1 },
+        { product: plenty._id, quantity: 2 },
+      ],
+    });
+
+    const response = await request(app)
+      .post("/api/auth/login")
+      .set("Cookie", "guestCartId=guest-cart")
+      .send({ email: customer.email, password: "password123" });
+    expect(response.status).toBe(200);
+
+    const cart = await Cart.findOne({ customer: customer._id });
+    const quantityOf = (product) =>
+      cart.items.find((item) => item.product.equals(product._id))?.quantity;
+    expect(quantityOf(limited)).toBe(5);
+    expect(quantityOf(soldOut)).toBeUndefined();
+    expect(quantityOf(plenty)).toBe(2);
+    expect(await Cart.exists({ guestId: "guest-cart" })).toBeNull();
+  });
+
+  it("treats a request with an invalid token as a guest", async () => {
+    const customer = await createUser();
+    const product = await createProduct({ price: 12.5 });
+    await Cart.create({ customer: customer._id, items: [{ product: product._id, quantity: 2 }] });
+
+    const guest = await request(app).get("/api/cart").set("Cookie", "accessToken=not-a-token");
+    expect(guest.status).toBe(200);
+    expect(guest.body.data.items).toEqual([]);
+
+    const loggedIn = await request(app).get("/api/cart").set("Cookie", await authCookie(customer));
+    expect(loggedIn.status).toBe(200);
+    expect(loggedIn.body.data).toMatchObject({ totalItems: 2, subtotal: 25, currency: "USD" });
+  });
+});
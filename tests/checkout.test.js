@@ -0,0 +1,132 @@
+import "./helpers/env.js";
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "@jest/globals";
+import { Coupon } from "../src/models/coupon.model.js";
+import { Settings } from "../src/models/settings.model.js";
+import { ShippingZone } from "../src/models/shippingZone.model.js";
+import { TaxRule } from "../src/models/taxRule.model.js";
+import { buildCheckout } from "../src/utils/checkout.js";
+import { CustomError } from "../src/utils/customError.js";
+import { clearTestDb, closeTestDb, connectTestDb } from "./helpers/db.js";
+import { createProduct, createUser, shippingAddressOf } from "./helpers/factories.js";
+
+describe("buildCheckout", () => {
+  let customer;
+  let address;
+
+  beforeAll(connectTestDb);
+  afterAll(closeTestDb);
+
+  beforeEach(async () => {
+    await clearTestDb();
+    await Settings.getSettings();
+    customer = await createUser();
+    address = shippingAddressOf(customer);
+  });
+
+  it("prices items, coupon, shipping and exclusive tax together", async () => {
+    const regular = await createProduct({ price: 50 });
+    const onSale = await createProduct({
+      price: 30,
+      is_flash_sale: true,
+      flash_sale_price: 20,
+    });
+    await Coupon.create({
+      code: "TENOFF",
+      type: "percentage",
+      value: 10,
+      owner: regular.owner,
+    });
+    await ShippingZone.create({
+      name: "United States",
+      countries: ["US"],
+      methods: [{ name: "Standard", type: "flat", rate: 5 }],
+    });
+    await TaxRule.create({ name: "US tax", country: "US", rate: 10 });
+
+    const checkout = await buildCheckout({
+      customerId: customer._id,
+      items: [
+        { id: regular._id.toString(), quantity: 2 },
+        { id: onSale._id.toString(), quantity: 1 },
+      ],
+      shippingAddress: address,
+      couponCode: "tenoff",
+      paymentMethod: "online",
+    });
+
+    expect(checkout.orderItems[1]).toMatchObject({
+      price: 20,
+      listPrice: 30,
+      promotion: "flash_sale",
+    });
+    expect(checkout.subtotal).toBe(120);
+    expect(checkout.coupon.code).toBe("TENOFF");
+    expect(checkout.discount).toBe(12);
+    expect(checkout.shippingAmount).toBe(5);
+    // the discount is taken off before the tax
+    expect(checkout.taxAmount).toBe(10.8);
+    expect(checkout.codFee).toBe(0);
+    expect(checkout.totalAmount).toBe(123.8);
+    expect(checkout.currency).toBe("USD");
+    expect(checkout.errors).toEqual([]);
+  });
+
+  it("extracts included tax instead of adding it", async () => {
+    await Settings.updateOne({}, { $set: { pricesIncludeTax: true } });
+    const product = await createProduct({ price: 110 });
+    await TaxRule.create({ name: "US tax", country: "US", rate: 10 });
+
+    const checkout = await buildCheckout({
+      customerId: customer._id,
+      items: [{ id: product._id.toString(), quantity: 1 }],
+      shippingAddress: address,
+      paymentMethod: "online",
+    });
+
+    expect(checkout.pricesIncludeTax).toBe(true);
+    expect(checkout.taxAmount).toBe(10);
+    expect(checkout.totalAmount).toBe(110);
+  });
+
+  it("adds the cash on delivery fee and enforces its limit", async () => {
+    await Settings.updateOne({}, { $set: { codFee: 2.5, maxCodOrderValue: 50 } });
+    const product = await createProduct({ price: 20 });
+    const checkout = (quantity) =>
+      buildCheckout({
+        customerId: customer._id,
+        items: [{ id: product._id.toString(), quantity }],
+        shippingAddress: address,
+        paymentMethod: "cash_on_delivery",
+      });
+
+    const small = await checkout(2);
+    expect(small.codFee).toBe(2.5);
+    expect(small.totalAmount).toBe(42.5);
+
+    await expect(checkout(3)).rejects.toThrow(/Cash on delivery is only available/);
+  });
+
+  it("throws the first problem, or collects every one with collectErrors", async () => {
+    const scarce = await createProduct({ stock: 1 });
+    const items = [
+      { id: scarce._id.toString(), quantity: 2 },
+      { id: "not-an-id", quantity: 1 },
+    ];
+
+    const thrown = await buildCheckout({ items, couponCode: "NOPE" }).catch((error) => error);
+    expect(thrown).toBeInstanceOf(CustomError);
+    expect(thrown.statusCode).toBe(400);
+    expect(thrown.message).toMatch(/Insufficient stock/);
+
+    const { orderItems, errors } = await buildCheckout(
+      { items, couponCode: "NOPE" },
+      { collectErrors: true }
+    );
+    expect(orderItems).toEqual([]);
+    expect(errors).toEqual([
+      expect.objectContaining({ field: "items", index: 0, message: expect.stringMatching(/Insufficient stock/) }),
+      expect.objectContaining({ field: "items", index: 1, message: "Invalid item data" }),
+      { field: "coupon", message: "Invalid coupon code" },
+    ]);
+  });
+});
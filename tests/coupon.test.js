@@ -0,0 +1,111 @@
+import "./helpers/env.js";
+import mongoose from "mongoose";
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "@jest/globals";
+import { Coupon } from "../src/models/coupon.model.js";
+import { Order } from "../src/models/order.model.js";
+import { evaluateCoupon } from "../src/utils/coupon.js";
+import { clearTestDb, closeTestDb, connectTestDb } from "./helpers/db.js";
+import { createUser } from "./helpers/factories.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// priced order items as buildOrderItems hands them to the coupon engine
+const item = ({ price, quantity = 1, category = "shoes" }) => ({
+  product: new mongoose.Types.ObjectId(),
+  category,
+  price,
+  quantity,
+});
+
+describe("evaluateCoupon", () => {
+  let owner;
+  let customer;
+
+  const createCoupon = (fields) =>
+    Coupon.create({ code: "SAVE", type: "percentage", value: 10, owner: owner._id, ...fields });
+
+  beforeAll(connectTestDb);
+  afterAll(closeTestDb);
+
+  beforeEach(async () => {
+    await clearTestDb();
+    owner = await createUser({ role: "admin" });
+    customer = await createUser();
+  });
+
+  it("gives no discount without a code", async () => {
+    expect(await evaluateCoupon("", customer._id, [item({ price: 10 })])).toEqual({
+      coupon: null,
+      discount: 0,
+    });
+  });
+
+  it("matches the code whatever its case and spacing", async () => {
+    await createCoupon({});
+    const { coupon, discount } = await evaluateCoupon(" save ", customer._id, [
+      item({ price: 40, quantity: 2 }),
+    ]);
+    expect(coupon.code).toBe("SAVE");
+    expect(discount).toBe(8);
+  });
+
+  it.each([
+    ["an unknown code", {}, "OTHER", "Invalid coupon code"],
+    ["an inactive coupon", { isActive: false }, "SAVE", "Invalid coupon code"],
+    ["a future coupon", { startsAt: new Date(Date.now() + DAY) }, "SAVE", "Coupon is not active yet"],
+    ["an expired coupon", { expiresAt: new Date(Date.now() - DAY) }, "SAVE", "Coupon has expired"],
+    ["a used up coupon", { usageLimit: 2, usedCount: 2 }, "SAVE", "Coupon usage limit reached"],
+    ["a small order", { minOrderValue: 50 }, "SAVE", "Minimum order value for this coupon is 50"],
+  ])("rejects %s", async (label, fields, code, message) => {
+    await createCoupon(fields);
+    await expect(
+      evaluateCoupon(code, customer._id, [item({ price: 20 })])
+    ).rejects.toMatchObject({ statusCode: 400, message });
+  });
+
+  it("only discounts the items the coupon is restricted to", async () => {
+    await createCoupon({ value: 50, applicableCategories: ["Shoes"] });
+    const { discount } = await evaluateCoupon("SAVE", customer._id, [
+      item({ price: 30, category: "shoes" }),
+      item({ price: 100, category: "hats" }),
+    ]);
+    expect(discount).toBe(15);
+
+    await expect(
+      evaluateCoupon("SAVE", customer._id, [item({ price: 100, category: "hats" })])
+    ).rejects.toThrow("Coupon does not apply to any item in your order");
+  });
+
+  it("caps percentage discounts and never discounts more than the items cost", async () => {
+    await createCoupon({ value: 50, maxDiscount: 20 });
+    expect(
+      (await evaluateCoupon("SAVE", customer._id, [item({ price: 100 })])).discount
+    ).toBe(20);
+
+    await Coupon.deleteMany({});
+    await createCoupon({ type: "fixed", value: 25 });
+    expect(
+      (await evaluateCoupon("SAVE", customer._id, [item({ price: 15 })])).discount
+    ).toBe(15);
+  });
+
+  it("counts the customer's orders that were not cancelled against the per user limit", async () => {
+    const coupon = await createCoupon({ usageLimitPerUser: 1 });
+    const usedOn = (status) =>
+      Order.collection.insertOne({
+        customer: customer._id,
+        coupon: { coupon: coupon._id, code: coupon.code },
+        status,
+      });
+
+    await usedOn("cancelled");
+    await expect(
+      evaluateCoupon("SAVE", customer._id, [item({ price: 20 })])
+    ).resolves.toMatchObject({ discount: 2 });
+
+    await usedOn("pending");
+    await expect(
+      evaluateCoupon("SAVE", customer._id, [item({ price: 20 })])
+    ).rejects.toThrow("You have already used this coupon");
+  });
+});
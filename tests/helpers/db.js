@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+import { MongoMemoryReplSet } from "mongodb-memory-server";
+
+// orders run in transactions, which need a replica set.
+// mongod comes from mongodb-memory-server: the version pinned in package.json
+// ("config.mongodbMemoryServer") is downloaded once into its cache, offline set
+// MONGOMS_SYSTEM_BINARY=/path/to/mongod to use an installed one instead
+let replSet;
+
+// start an in-memory replica set and connect mongoose to it
+// ---------------------------------------------------------
+const connectTestDb = async () => {
+  replSet = await MongoMemoryReplSet.create({
+    replSet: { count: 1, storageEngine: "wiredTiger" },
+  });
+  await mongoose.connect(replSet.getUri(), { dbName: "test" });
+
+  // collections and unique indexes must exist before the first transaction
+  await Promise.all(Object.values(mongoose.models).map((model) => model.init()));
+};
+
+// empty every collection, indexes stay
+// ------------------------------------
+const clearTestDb = async () => {
+  await Promise.all(
+    Object.values(mongoose.connection.collections).map((collection) => collection.deleteMany({}))
+  );
+};
+
+const closeTestDb = async () => {
+  await mongoose.disconnect();
+  await replSet?.stop();
+};
+
+export { connectTestDb, clearTestDb, closeTestDb };
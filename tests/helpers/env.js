@@ -0,0 +1,24 @@
+// environment of the test runs, imported before the app so its config sees it
+// (payments go through the fake gateway, emails stay in memory)
+// ----------------------------------------------------------------------------
+Object.assign(process.env, {
+  NODE_ENV: "test",
+  PORT: "4010",
+  MONGODB_URL: "mongodb://127.0.0.1:27017",
+  MONGODB_NAME: "test",
+  FRONTEND_URL: "http://localhost:5173",
+  ACCESS_TOKEN_NAME: "accessToken",
+  ACCESS_TOKEN_SECRET: "test-access-secret",
+  ACCESS_TOKEN_EXPIRY_TIME: "1h",
+  ACCESS_TOKEN_MAX_AGE: "3600000",
+  REFRESH_TOKEN_NAME: "refreshToken",
+  REFRESH_TOKEN_SECRET: "test-refresh-secret",
+  REFRESH_TOKEN_EXPIRY_TIME: "1d",
+  REFRESH_TOKEN_MAX_AGE: "86400000",
+  CLOUDINARY_FOLDER_NAME: "test",
+  PAYMENT_PROVIDER: "fake",
+  FAKE_PAYMENT_WEBHOOK_SECRET: "whsec_test_fixtures",
+  STRIPE_SECRET_KEY: "sk_test_fixtures",
+  STRIPE_WEBHOOK_SECRET: "whsec_stripe_fixtures",
+  MAIL_TRANSPORT: "memory",
+});
@@ -0,0 +1,51 @@
+import { getEnv } from "../../src/configs/config.js";
+import { Auth } from "../../src/models/auth.model.js";
+import { Product } from "../../src/models/product.model.js";
+import { JWTService } from "../../src/utils/jwtService.js";
+
+let sequence = 0;
+
+// documents the tests need, with just the required fields
+// --------------------------------------------------------
+const createUser = async ({ role = "client", ...fields } = {}) => {
+  sequence++;
+  return Auth.create({
+    name: `User ${sequence}`,
+    email: `user${sequence}@example.com`,
+    password: "password123",
+    role,
+    ...fields,
+  });
+};
+
+const createProduct = async ({ owner, ...fields } = {}) => {
+  sequence++;
+  return Product.create({
+    name: `Product ${sequence}`,
+    description: "Test product",
+    price: 20,
+    category: "test",
+    stock: 10,
+    images: [{ public_id: `product-${sequence}`, url: `https://example.com/${sequence}.png` }],
+    owner: owner || (await createUser({ role: "admin" }))._id,
+    ...fields,
+  });
+};
+
+const shippingAddressOf = (user) => ({
+  customer: user._id,
+  street: "1 Test Street",
+  city: "Testville",
+  state: "TS",
+  zipCode: "12345",
+  country: "US",
+  phoneNumber: "+10000000000",
+  emailAddress: user.email,
+});
+
+// cookie header logging the user in, like the one set at login
+// ------------------------------------------------------------
+const authCookie = async (user) =>
+  `${getEnv("ACCESS_TOKEN_NAME")}=${await JWTService().accessToken(String(user._id))}`;
+
+export { createUser, createProduct, shippingAddressOf, authCookie };
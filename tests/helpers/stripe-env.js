@@ -0,0 +1,4 @@
+// imported right after env.js: the suite runs against the stripe provider, so
+// webhook signatures are verified by the stripe sdk (no stripe api is called)
+// ----------------------------------------------------------------------------
+process.env.PAYMENT_PROVIDER = "stripe";
@@ -0,0 +1,44 @@
+import crypto from "crypto";
+import fs from "fs";
+import request from "supertest";
+import { getEnv } from "../../src/configs/config.js";
+import { app } from "../../src/app.js";
+import { getStripe } from "../../src/utils/stripe.js";
+
+const fixturesDir = new URL("../fixtures/stripe-events/", import.meta.url);
+
+// raw payload of a stripe event fixture ({{name}} placeholders are filled in)
+// --------------------------------------------------------------------------
+const loadStripeEvent = (name, values = {}) =>
+  fs
+    .readFileSync(new URL(`${name}.json`, fixturesDir), "utf8")
+    .replace(/{{(\w+)}}/g, (placeholder, key) => values[key] ?? placeholder);
+
+// stripe-signature header of a payload, signed with the webhook secret
+// --------------------------------------------------------------------
+const signStripePayload = (payload, { timestamp = Math.floor(Date.now() / 1000) } = {}) => {
+  const signature = crypto
+    .createHmac("sha256", getEnv("FAKE_PAYMENT_WEBHOOK_SECRET"))
+    .update(`${timestamp}.${payload}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// stripe-signature header made by the stripe sdk, checked by the stripe provider
+// -------------------------------------------------------------------------------
+const signWithStripe = (payload) =>
+  getStripe().webhooks.generateTestHeaderString({
+    payload,
+    secret: getEnv("STRIPE_WEBHOOK_SECRET"),
+  });
+
+// post a payload to the webhook endpoint, like stripe delivers it
+// ----------------------------------------------------------------
+const deliverStripeEvent = (payload, signature = signStripePayload(payload)) =>
+  request(app)
+    .post("/api/stripeWebhook")
+    .set("Content-Type", "application/json")
+    .set("Stripe-Signature", signature)
+    .send(payload);
+
+export { loadStripeEvent, signStripePayload, signWithStripe, deliverStripeEvent };
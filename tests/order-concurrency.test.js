@@ -0,0 +1,136 @@
+import "./helpers/env.js";
+import request from "supertest";
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "@jest/globals";
+import { app } from "../src/app.js";
+import { Coupon } from "../src/models/coupon.model.js";
+import { Order } from "../src/models/order.model.js";
+import { Product } from "../src/models/product.model.js";
+import { Settings } from "../src/models/settings.model.js";
+import { clearTestDb, closeTestDb, connectTestDb } from "./helpers/db.js";
+import { authCookie, createProduct, createUser, shippingAddressOf } from "./helpers/factories.js";
+
+// place an order through the api, as the storefront does
+const placeOrder = async (customer, items, paymentMethod = "cash_on_delivery", couponCode) =>
+  request(app)
+    .post("/api/orders")
+    .set("Cookie", await authCookie(customer))
+    .send({
+      items: items.map(({ product, quantity }) => ({ id: product._id.toString(), quantity })),
+      shippingAddress: shippingAddressOf(customer),
+      paymentMethod,
+      couponCode,
+    });
+
+const orderedQuantity = async (product) => {
+  const orders = await Order.find({ "items.product": product._id, status: { $ne: "cancelled" } });
+  return orders
+    .flatMap((order) => order.items)
+    .filter((item) => item.product.equals(product._id))
+    .reduce((sum, item) => sum + item.quantity, 0);
+};
+
+describe("createOrder under parallel requests", () => {
+  beforeAll(connectTestDb);
+  afterAll(closeTestDb);
+
+  beforeEach(async () => {
+    await clearTestDb();
+    await Settings.getSettings();
+  });
+
+  it("sells the last units only once", async () => {
+    const product = await createProduct({ stock: 3 });
+    const customers = await Promise.all(Array.from({ length: 10 }, () => createUser()));
+
+    const responses = await Promise.all(
+      customers.map((customer) => placeOrder(customer, [{ product, quantity: 1 }]))
+    );
+
+    const placed = responses.filter((response) => response.status === 201);
+    const rejected = responses.filter((response) => response.status !== 201);
+    expect(placed).toHaveLength(3);
+    expect(rejected.every((response) => response.status === 400)).toBe(true);
+    expect(rejected[0].body.message).toMatch(/Insufficient stock/);
+
+    const { stock } = await Product.findById(product._id);
+    expect(stock).toBe(0);
+    expect(await Order.countDocuments()).toBe(3);
+  });
+
+  it("never lets the stock go negative with mixed quantities", async () => {
+    const product = await createProduct({ stock: 7 });
+    const customer = await createUser();
+    const quantities = [3, 2, 4, 1, 2, 5, 1, 3];
+
+    await Promise.all(
+      quantities.map((quantity) => placeOrder(customer, [{ product, quantity }]))
+    );
+
+    const { stock } = await Product.findById(product._id);
+    expect(stock).toBeGreaterThanOrEqual(0);
+    // every unit that left the stock belongs to an order, and only those did
+    expect(await orderedQuantity(product)).toBe(7 - stock);
+  });
+
+  it("keeps multi item orders all or nothing", async () => {
+    const plenty = await createProduct({ stock: 100 });
+    const scarce = await createProduct({ stock: 2 });
+    const customers = await Promise.all(Array.from({ length: 6 }, () => createUser()));
+
+    const responses = await Promise.all(
+      customers.map((customer) =>
+        placeOrder(customer, [
+          { product: plenty, quantity: 5 },
+          { product: scarce, quantity: 1 },
+        ])
+      )
+    );
+    const placed = responses.filter((response) => response.status === 201).length;
+    expect(placed).toBe(2);
+
+    // orders rolled back on the scarce item gave the plenty item back too
+    const [plentyAfter, scarceAfter] = await Promise.all([
+      Product.findById(plenty._id),
+      Product.findById(scarce._id),
+    ]);
+    expect(scarceAfter.stock).toBe(0);
+    expect(plentyAfter.stock).toBe(100 - placed * 5);
+  });
+
+  it("redeems a coupon only as often as each customer may", async () => {
+    const product = await createProduct({ stock: 100 });
+    const customer = await createUser();
+    const coupon = await Coupon.create({
+      code: "ONCEEACH",
+      type: "fixed",
+      value: 5,
+      usageLimitPerUser: 1,
+      owner: product.owner,
+    });
+
+    const responses = await Promise.all(
+      Array.from({ length: 5 }, () =>
+        placeOrder(customer, [{ product, quantity: 1 }], "cash_on_delivery", coupon.code)
+      )
+    );
+
+    const placed = responses.filter((response) => response.status === 201);
+    expect(placed).toHaveLength(1);
+    expect(responses.every((response) => [201, 400].includes(response.status))).toBe(true);
+    expect(await Order.countDocuments({ "coupon.coupon": coupon._id })).toBe(1);
+    expect((await Coupon.findById(coupon._id)).usedCount).toBe(1);
+  });
+
+  it("holds stock for parallel online checkouts the same way", async () => {
+    const product = await createProduct({ stock: 2 });
+    const customers = await Promise.all(Array.from({ length: 5 }, () => createUser()));
+
+    const responses = await Promise.all(
+      customers.map((customer) => placeOrder(customer, [{ product, quantity: 1 }], "online"))
+    );
+
+    expect(responses.filter((response) => response.status === 201)).toHaveLength(2);
+    const { stock } = await Product.findById(product._id);
+    expect(stock).toBe(0);
+  });
+});
@@ -0,0 +1,104 @@
+import "./helpers/env.js";
+import request from "supertest";
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "@jest/globals";
+import { app } from "../src/app.js";
+import { Order } from "../src/models/order.model.js";
+import { Product } from "../src/models/product.model.js";
+import { Settings } from "../src/models/settings.model.js";
+import { clearTestDb, closeTestDb, connectTestDb } from "./helpers/db.js";
+import { authCookie, createProduct, createUser, shippingAddressOf } from "./helpers/factories.js";
+
+const updateStatus = async (admin, orderId, status) =>
+  request(app)
+    .put(`/api/orders/${orderId}/status`)
+    .set("Cookie", await authCookie(admin))
+    .send({ status });
+
+// a confirmed cash on delivery order of `quantity` units, ready to ship
+const placeConfirmedOrder = async ({ admin, product, quantity }) => {
+  const customer = await createUser();
+  const placed = await request(app)
+    .post("/api/orders")
+    .set("Cookie", await authCookie(customer))
+    .send({
+      items: [{ id: product._id.toString(), quantity }],
+      shippingAddress: shippingAddressOf(customer),
+      paymentMethod: "cash_on_delivery",
+    });
+  expect(placed.status).toBe(201);
+
+  const confirmed = await updateStatus(admin, placed.body.data._id, "confirmed");
+  expect(confirmed.status).toBe(200);
+  return confirmed.body.data;
+};
+
+const shipUnits = async (admin, order, quantity) =>
+  request(app)
+    .post(`/api/orders/${order._id}/shipments`)
+    .set("Cookie", await authCookie(admin))
+    .send({
+      carrier: "Test Carrier",
+      items: [{ orderItem: order.items[0]._id, quantity }],
+    });
+
+describe("order fulfillment", () => {
+  let admin;
+
+  beforeAll(connectTestDb);
+  afterAll(closeTestDb);
+
+  beforeEach(async () => {
+    await clearTestDb();
+    await Settings.getSettings();
+    admin = await createUser({ role: "admin" });
+  });
+
+  it("never ships more units than ordered with parallel shipments", async () => {
+    const product = await createProduct({ owner: admin._id, stock: 5 });
+    const order = await placeConfirmedOrder({ admin, product, quantity: 3 });
+
+    const responses = await Promise.all(
+      Array.from({ length: 6 }, () => shipUnits(admin, order, 1))
+    );
+
+    const created = responses.filter((response) => response.status === 201);
+    const rejected = responses.filter((response) => response.status !== 201);
+    expect(created).toHaveLength(3);
+    expect(rejected.every((response) => response.status === 400)).toBe(true);
+
+    const shipped = await Order.findById(order._id);
+    const shippedQuantity = shipped.shipments
+      .flatMap((shipment) => shipment.items)
+      .reduce((sum, item) => sum + item.quantity, 0);
+    expect(shipped.shipments).toHaveLength(3);
+    expect(shippedQuantity).toBe(3);
+    expect(shipped.status).toBe("shipped");
+  });
+
+  it("does not cancel an order with shipped units", async () => {
+    const product = await createProduct({ owner: admin._id, stock: 5 });
+    const order = await placeConfirmedOrder({ admin, product, quantity: 3 });
+
+    const shipment = await shipUnits(admin, order, 1);
+    expect(shipment.status).toBe(201);
+
+    const response = await updateStatus(admin, order._id, "cancelled");
+    expect(response.status).toBe(400);
+    expect(response.body.message).toMatch(/shipments/);
+
+    // the shipped unit is not put back on the shelf, nothing is
+    expect((await Product.findById(product._id)).stock).toBe(2);
+    expect((await Order.findById(order._id)).status).toBe("processing");
+  });
+
+  it("still cancels a processing order before anything shipped", async () => {
+    const product = await createProduct({ owner: admin._id, stock: 5 });
+    const order = await placeConfirmedOrder({ admin, product, quantity: 3 });
+    expect((await updateStatus(admin, order._id, "processing")).status).toBe(200);
+
+    const response = await updateStatus(admin, order._id, "cancelled");
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe("cancelled");
+    expect((await Product.findById(product._id)).stock).toBe(5);
+  });
+});
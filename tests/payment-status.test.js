@@ -0,0 +1,84 @@
+import "./helpers/env.js";
+import request from "supertest";
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "@jest/globals";
+import { app } from "../src/app.js";
+import { Order } from "../src/models/order.model.js";
+import { PaymentIntent } from "../src/models/paymentIntent.model.js";
+import { Settings } from "../src/models/settings.model.js";
+import { clearTestDb, closeTestDb, connectTestDb } from "./helpers/db.js";
+import { authCookie, createProduct, createUser, shippingAddressOf } from "./helpers/factories.js";
+
+// a cash on delivery order and its pending payment
+const placeCodOrder = async () => {
+  const customer = await createUser();
+  const product = await createProduct({ stock: 5, price: 20 });
+  const response = await request(app)
+    .post("/api/orders")
+    .set("Cookie", await authCookie(customer))
+    .send({
+      items: [{ id: product._id.toString(), quantity: 1 }],
+      shippingAddress: shippingAddressOf(customer),
+      paymentMethod: "cash_on_delivery",
+    });
+  expect(response.status).toBe(201);
+
+  const orderId = response.body.data._id;
+  const payment = await PaymentIntent.findOne({ order: orderId });
+  return { orderId, paymentId: payment._id.toString() };
+};
+
+describe("manual payment status changes", () => {
+  let admin;
+
+  const setStatus = async (paymentId, status) =>
+    request(app)
+      .put(`/api/payments/${paymentId}/status`)
+      .set("Cookie", await authCookie(admin))
+      .send({ status });
+
+  beforeAll(connectTestDb);
+  afterAll(closeTestDb);
+
+  beforeEach(async () => {
+    await clearTestDb();
+    await Settings.getSettings();
+    admin = await createUser({ role: "admin" });
+  });
+
+  it("marks the order paid together with its payment", async () => {
+    const { orderId, paymentId } = await placeCodOrder();
+
+    const response = await setStatus(paymentId, "paid");
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe("paid");
+    expect((await Order.findById(orderId)).paymentStatus).toBe("paid");
+
+    // a paid payment doesn't go back
+    const back = await setStatus(paymentId, "pending");
+    expect(back.status).toBe(400);
+    expect((await PaymentIntent.findById(paymentId)).status).toBe("paid");
+  });
+
+  it("never moves a refunded payment", async () => {
+    const { orderId, paymentId } = await placeCodOrder();
+    await setStatus(paymentId, "paid");
+
+    const refund = await request(app)
+      .post(`/api/payments/${paymentId}/refunds`)
+      .set("Cookie", await authCookie(admin))
+      .send({ reason: "Customer changed their mind" });
+    expect(refund.status).toBe(201);
+
+    for (const status of ["paid", "pending", "failed"]) {
+      const response = await setStatus(paymentId, status);
+      expect(response.status).toBe(400);
+    }
+
+    const [order, payment] = await Promise.all([
+      Order.findById(orderId),
+      PaymentIntent.findById(paymentId),
+    ]);
+    expect(payment.status).toBe("refunded");
+    expect(order.paymentStatus).toBe("refunded");
+  });
+});
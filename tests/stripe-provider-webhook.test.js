@@ -0,0 +1,67 @@
+import "./helpers/env.js";
+import "./helpers/stripe-env.js";
+import mongoose from "mongoose";
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "@jest/globals";
+import { PaymentIntent } from "../src/models/paymentIntent.model.js";
+import { WebhookEvent } from "../src/models/webhookEvent.model.js";
+import { clearTestDb, closeTestDb, connectTestDb } from "./helpers/db.js";
+import {
+  deliverStripeEvent,
+  loadStripeEvent,
+  signStripePayload,
+  signWithStripe,
+} from "./helpers/webhooks.js";
+
+// a paid payment already linked to its stripe payment intent, so the handler
+// finds it without asking the stripe api
+const createPaidPayment = () =>
+  PaymentIntent.create({
+    order: new mongoose.Types.ObjectId(),
+    intentId: "cs_test_fixture",
+    stripePaymentIntentId: "pi_test_fixture",
+    totalAmount: 20,
+    currency: "USD",
+    status: "paid",
+  });
+
+describe("stripe webhook through the stripe provider", () => {
+  beforeAll(connectTestDb);
+  afterAll(closeTestDb);
+  beforeEach(clearTestDb);
+
+  it("accepts an event signed like stripe signs it", async () => {
+    const payment = await createPaidPayment();
+    const payload = loadStripeEvent("charge.dispute.created", {
+      paymentIntentId: "pi_test_fixture",
+    });
+
+    const response = await deliverStripeEvent(payload, signWithStripe(payload));
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ received: true });
+
+    const disputed = await PaymentIntent.findById(payment._id);
+    expect(disputed.disputes).toHaveLength(1);
+    expect(disputed.disputes[0].disputeId).toBe("dp_fixture_disputed");
+    expect((await WebhookEvent.findOne({ eventId: "evt_fixture_dispute_created" })).status)
+      .toBe("processed");
+  });
+
+  it("rejects tampered payloads and foreign signatures", async () => {
+    await createPaidPayment();
+    const payload = loadStripeEvent("charge.dispute.created", {
+      paymentIntentId: "pi_test_fixture",
+    });
+
+    const tampered = await deliverStripeEvent(
+      payload.replace('"amount": 2000', '"amount": 1'),
+      signWithStripe(payload)
+    );
+    expect(tampered.status).toBe(400);
+
+    // signed with the fake gateway secret, not the stripe one
+    const foreign = await deliverStripeEvent(payload, signStripePayload(payload));
+    expect(foreign.status).toBe(400);
+
+    expect(await WebhookEvent.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,280 @@
+import "./helpers/env.js";
+import request from "supertest";
+import { afterAll, beforeAll, beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { app } from "../src/app.js";
+import { Order } from "../src/models/order.model.js";
+import { PaymentIntent } from "../src/models/paymentIntent.model.js";
+import { Product } from "../src/models/product.model.js";
+import { Settings } from "../src/models/settings.model.js";
+import { WebhookEvent } from "../src/models/webhookEvent.model.js";
+import { fakePaymentProvider, getFakeSession, simulateCheckout } from "../src/utils/fakePayment.js";
+import { clearTestDb, closeTestDb, connectTestDb } from "./helpers/db.js";
+import { authCookie, createProduct, createUser, shippingAddressOf } from "./helpers/factories.js";
+import { deliverStripeEvent, loadStripeEvent, signStripePayload } from "./helpers/webhooks.js";
+
+// an online order of one unit of a product with 5 in stock, waiting for its payment
+const placeOnlineOrder = async () => {
+  const customer = await createUser();
+  const product = await createProduct({ stock: 5, price: 20 });
+
+  const response = await request(app)
+    .post("/api/orders")
+    .set("Cookie", await authCookie(customer))
+    .send({
+      items: [{ id: product._id.toString(), quantity: 1 }],
+      shippingAddress: shippingAddressOf(customer),
+      paymentMethod: "online",
+    });
+  expect(response.status).toBe(201);
+
+  return {
+    product,
+    orderId: response.body.data._id,
+    sessionId: response.body.paymentIntent.intentId,
+  };
+};
+
+// the customer pays on the (fake) hosted page; the gateway's own deliveries
+// are dropped, the signed fixtures are what reaches the webhook
+const payCheckout = async (sessionId) => {
+  await simulateCheckout(sessionId, "paid");
+  const { session } = await getFakeSession(sessionId);
+  return session.payment_intent;
+};
+
+const findState = async (orderId) => {
+  const [order, paymentIntent] = await Promise.all([
+    Order.findById(orderId),
+    PaymentIntent.findOne({ order: orderId }),
+  ]);
+  return { order, paymentIntent };
+};
+
+describe("stripe webhook with signed fixtures", () => {
+  beforeAll(async () => {
+    await connectTestDb();
+    jest.spyOn(globalThis, "fetch").mockResolvedValue({ ok: true, status: 200 });
+  });
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await closeTestDb();
+  });
+
+  beforeEach(async () => {
+    await clearTestDb();
+    await Settings.getSettings();
+  });
+
+  it("marks the payment and the order paid on checkout.session.completed", async () => {
+    const { orderId, sessionId } = await placeOnlineOrder();
+    const paymentIntentId = await payCheckout(sessionId);
+
+    const response = await deliverStripeEvent(
+      loadStripeEvent("checkout.session.completed", { sessionId, paymentIntentId })
+    );
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ received: true });
+
+    const { order, paymentIntent } = await findState(orderId);
+    expect(paymentIntent.status).toBe("paid");
+    expect(paymentIntent.stripePaymentIntentId).toBe(paymentIntentId);
+    expect(order.paymentStatus).toBe("paid");
+    expect(order.status).toBe("pending");
+    expect(order.reservationExpiresAt).toBeUndefined();
+
+    const record = await WebhookEvent.findOne({ eventId: "evt_fixture_checkout_completed" });
+    expect(record.status).toBe("processed");
+  });
+
+  it("cancels the order and gives the stock back on checkout.session.expired", async () => {
+    const { product, orderId, sessionId } = await placeOnlineOrder();
+    expect((await Product.findById(product._id)).stock).toBe(4);
+
+    const response = await deliverStripeEvent(
+      loadStripeEvent("checkout.session.expired", { sessionId })
+    );
+    expect(response.status).toBe(200);
+
+    const { order, paymentIntent } = await findState(orderId);
+    expect(paymentIntent.status).toBe("failed");
+    expect(order.status).toBe("cancelled");
+    expect(order.paymentStatus).toBe("failed");
+    expect((await Product.findById(product._id)).stock).toBe(5);
+  });
+
+  it("marks a delayed payment paid on checkout.session.async_payment_succeeded", async () => {
+    const { orderId, sessionId } = await placeOnlineOrder();
+
+    const response = await deliverStripeEvent(
+      loadStripeEvent("checkout.session.async_payment_succeeded", {
+        sessionId,
+        paymentIntentId: "pi_fixture_bank_debit",
+      })
+    );
+    expect(response.status).toBe(200);
+
+    const { order, paymentIntent } = await findState(orderId);
+    expect(paymentIntent.status).toBe("paid");
+    expect(paymentIntent.stripePaymentIntentId).toBe("pi_fixture_bank_debit");
+    expect(order.paymentStatus).toBe("paid");
+  });
+
+  it("cancels the order on checkout.session.async_payment_failed", async () => {
+    const { product, orderId, sessionId } = await placeOnlineOrder();
+
+    const response = await deliverStripeEvent(
+      loadStripeEvent("checkout.session.async_payment_failed", {
+        sessionId,
+        paymentIntentId: "pi_fixture_bank_debit",
+      })
+    );
+    expect(response.status).toBe(200);
+
+    const { order, paymentIntent } = await findState(orderId);
+    expect(paymentIntent.status).toBe("failed");
+    expect(order.status).toBe("cancelled");
+    expect(order.paymentStatus).toBe("failed");
+    expect((await Product.findById(product._id)).stock).toBe(5);
+  });
+
+  it("keeps the order open on payment_intent.payment_failed", async () => {
+    const { product, orderId } = await placeOnlineOrder();
+    // the first (declined) attempt already created the stripe payment intent
+    await PaymentIntent.updateOne(
+      { order: orderId },
+      { $set: { stripePaymentIntentId: "pi_fixture_declined" } }
+    );
+
+    const response = await deliverStripeEvent(
+      loadStripeEvent("payment_intent.payment_failed", { paymentIntentId: "pi_fixture_declined" })
+    );
+    expect(response.status).toBe(200);
+
+    // the customer may retry until the session expires
+    const { order, paymentIntent } = await findState(orderId);
+    expect(paymentIntent.status).toBe("pending");
+    expect(paymentIntent.lastPaymentError).toMatchObject({
+      code: "card_declined",
+      message: "Your card was declined.",
+    });
+    expect(order.status).toBe("pending");
+    expect((await Product.findById(product._id)).stock).toBe(4);
+  });
+
+  it("records a dispute once on charge.dispute.created", async () => {
+    const { orderId, sessionId } = await placeOnlineOrder();
+    const paymentIntentId = await payCheckout(sessionId);
+    await deliverStripeEvent(
+      loadStripeEvent("checkout.session.completed", { sessionId, paymentIntentId })
+    );
+
+    const payload = loadStripeEvent("charge.dispute.created", { paymentIntentId });
+    expect((await deliverStripeEvent(payload)).status).toBe(200);
+    // handled again without the dedupe record, the dispute is still recorded once
+    await WebhookEvent.deleteMany({});
+    expect((await deliverStripeEvent(payload)).status).toBe(200);
+
+    const { paymentIntent } = await findState(orderId);
+    expect(paymentIntent.disputes).toHaveLength(1);
+    expect(paymentIntent.disputes[0]).toMatchObject({
+      disputeId: "dp_fixture_disputed",
+      amount: 20,
+      reason: "fraudulent",
+      status: "needs_response",
+    });
+  });
+
+  it("records a dashboard refund on charge.refunded", async () => {
+    const { orderId, sessionId } = await placeOnlineOrder();
+    const paymentIntentId = await payCheckout(sessionId);
+    await deliverStripeEvent(
+      loadStripeEvent("checkout.session.completed", { sessionId, paymentIntentId })
+    );
+
+    // refunded from the stripe dashboard, only the webhook tells the app
+    const refund = await fakePaymentProvider.createRefund(sessionId);
+    expect(refund.success).toBe(true);
+
+    const response = await deliverStripeEvent(
+      loadStripeEvent("charge.refunded", { paymentIntentId })
+    );
+    expect(response.status).toBe(200);
+
+    const { order, paymentIntent } = await findState(orderId);
+    expect(paymentIntent.status).toBe("refunded");
+    expect(paymentIntent.refundedAmount).toBe(paymentIntent.totalAmount);
+    expect(paymentIntent.refunds).toHaveLength(1);
+    expect(paymentIntent.refunds[0]).toMatchObject({
+      refundId: refund.refundId,
+      source: "stripe",
+      status: "succeeded",
+    });
+    expect(order.paymentStatus).toBe("refunded");
+  });
+
+  it("refunds a paid online order when it is cancelled", async () => {
+    const { product, orderId, sessionId } = await placeOnlineOrder();
+    const paymentIntentId = await payCheckout(sessionId);
+    await deliverStripeEvent(
+      loadStripeEvent("checkout.session.completed", { sessionId, paymentIntentId })
+    );
+
+    const admin = await createUser({ role: "admin" });
+    const response = await request(app)
+      .put(`/api/orders/${orderId}/status`)
+      .set("Cookie", await authCookie(admin))
+      .send({ status: "cancelled", note: "Out of stock in the warehouse" });
+    expect(response.status).toBe(200);
+
+    const { order, paymentIntent } = await findState(orderId);
+    expect(order.status).toBe("cancelled");
+    expect(order.paymentStatus).toBe("refunded");
+    expect(paymentIntent.status).toBe("refunded");
+    expect(paymentIntent.refunds).toHaveLength(1);
+    expect(paymentIntent.refunds[0]).toMatchObject({
+      amount: paymentIntent.totalAmount,
+      source: "cancellation",
+    });
+    expect((await Product.findById(product._id)).stock).toBe(5);
+  });
+
+  it("skips a redelivered event with the same id", async () => {
+    const { product, orderId, sessionId } = await placeOnlineOrder();
+    const payload = loadStripeEvent("checkout.session.expired", { sessionId });
+
+    const first = await deliverStripeEvent(payload);
+    const duplicate = await deliverStripeEvent(payload);
+
+    expect(first.body).toEqual({ received: true });
+    expect(duplicate.status).toBe(200);
+    expect(duplicate.body).toEqual({ received: true, duplicate: true });
+
+    // handled once: one record, one attempt, the stock given back once
+    const records = await WebhookEvent.find({ eventId: "evt_fixture_checkout_expired" });
+    expect(records).toHaveLength(1);
+    expect(records[0].attempts).toBe(1);
+    expect((await Order.findById(orderId)).status).toBe("cancelled");
+    expect((await Product.findById(product._id)).stock).toBe(5);
+  });
+
+  it("rejects tampered and stale signatures", async () => {
+    const { orderId, sessionId } = await placeOnlineOrder();
+    const payload = loadStripeEvent("checkout.session.expired", { sessionId });
+
+    const tampered = await deliverStripeEvent(
+      payload.replace("checkout.session.expired", "checkout.session.completed"),
+      signStripePayload(payload)
+    );
+    expect(tampered.status).toBe(400);
+
+    const stale = await deliverStripeEvent(
+      payload,
+      signStripePayload(payload, { timestamp: Math.floor(Date.now() / 1000) - 600 })
+    );
+    expect(stale.status).toBe(400);
+    expect(stale.text).toMatch(/tolerance/);
+
+    expect(await WebhookEvent.countDocuments()).toBe(0);
+    expect((await Order.findById(orderId)).status).toBe("pending");
+  });
+});